@@ -0,0 +1,208 @@
+/**
+ * Alert rules of signed-in wallets
+ * Append-only JSON Lines file holding each wallet's full rule list whenever it changes (last line wins),
+ * so the dashboard shows the same rules in every browser the wallet signs in from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// The conditions the dashboard knows how to check (ALERT_RULE_TYPES in dashboard.html)
+const ALERT_RULE_TYPES = ['price_above', 'price_below', 'change_24h', 'bonding_progress', 'graduated', 'market_expiry'];
+const RULE_ID_PATTERN = /^alr_[a-z0-9]{1,32}$/;
+
+function rulesError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ALERT_RULES';
+    return error;
+}
+
+function readString(value, field, maxLength) {
+    if (typeof value !== 'string' || value === '' || value.length > maxLength) {
+        throw rulesError(`${field} must be a string of 1-${maxLength} characters`);
+    }
+    return value;
+}
+
+/**
+ * Validate a rule list from a client, keeping only the fields the dashboard uses
+ * @param {*} rules
+ * @param {number} maxRules
+ * @returns {Array}
+ * @throws {Error} with code INVALID_ALERT_RULES
+ */
+function parseAlertRules(rules, maxRules) {
+    if (!Array.isArray(rules)) {
+        throw rulesError('rules must be an array');
+    }
+    if (rules.length > maxRules) {
+        throw rulesError(`At most ${maxRules} rules are kept per wallet`);
+    }
+
+    const ids = new Set();
+    return rules.map((rule, index) => {
+        const field = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object' || !rule.token || typeof rule.token !== 'object') {
+            throw rulesError(`${field} must be an object with a token`);
+        }
+        if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id) || ids.has(rule.id)) {
+            throw rulesError(`${field}.id must be a unique "alr_" id`);
+        }
+        ids.add(rule.id);
+        if (!ALERT_RULE_TYPES.includes(rule.type)) {
+            throw rulesError(`${field}.type must be one of: ${ALERT_RULE_TYPES.join(', ')}`);
+        }
+        if (rule.threshold !== null && !(typeof rule.threshold === 'number' && Number.isFinite(rule.threshold) && rule.threshold > 0)) {
+            throw rulesError(`${field}.threshold must be a positive number or null`);
+        }
+        if (rule.met !== null && typeof rule.met !== 'boolean') {
+            throw rulesError(`${field}.met must be true, false or null`);
+        }
+        if (typeof rule.created_at !== 'string' || Number.isNaN(Date.parse(rule.created_at))) {
+            throw rulesError(`${field}.created_at must be a date`);
+        }
+
+        return {
+            id: rule.id,
+            token: {
+                key: readString(rule.token.key, `${field}.token.key`, 100),
+                symbol: readString(rule.token.symbol, `${field}.token.symbol`, 20),
+                section: readString(rule.token.section, `${field}.token.section`, 40)
+            },
+            type: rule.type,
+            threshold: rule.threshold,
+            met: rule.met,
+            created_at: rule.created_at
+        };
+    });
+}
+
+class AlertRuleStore {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.filePath - JSON Lines file, created on first write (null keeps rules in memory only)
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+
+        this.rules = new Map(); // "<chain>:<address>" -> rules
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the existing file into memory, skipping unreadable lines
+     */
+    async load() {
+        if (!this.filePath) return;
+
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        let skipped = 0;
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                continue;
+            }
+
+            if (entry.type === 'rules' && typeof entry.wallet === 'string' && Array.isArray(entry.rules)) {
+                this.setRules(entry.wallet, entry.rules);
+            }
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable alert rule lines', { file: this.filePath, skipped });
+        }
+    }
+
+    setRules(wallet, rules) {
+        if (rules.length > 0) {
+            this.rules.set(wallet, rules);
+        } else {
+            this.rules.delete(wallet);
+        }
+    }
+
+    /**
+     * @param {string} wallet - "<chain>:<address>"
+     * @returns {Array} empty when the wallet has no rules
+     */
+    get(wallet) {
+        return this.rules.get(wallet) || [];
+    }
+
+    /**
+     * Replace a wallet's rules
+     * @param {string} wallet - "<chain>:<address>"
+     * @param {Array} rules - already checked with parseAlertRules
+     */
+    set(wallet, rules, now = Date.now()) {
+        this.setRules(wallet, rules);
+        this.append([{ type: 'rules', wallet, rules, updated_at: new Date(now).toISOString() }]);
+    }
+
+    append(entries) {
+        if (!this.filePath) return;
+
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, data))
+            .catch(error => {
+                logger.error('Failed to write alert rules', { error: error.message });
+            });
+    }
+
+    /**
+     * Rewrite the file with one line per wallet
+     */
+    async compact(now = Date.now()) {
+        if (!this.filePath) return;
+
+        const updatedAt = new Date(now).toISOString();
+        const lines = Array.from(this.rules, ([wallet, rules]) => JSON.stringify({ type: 'rules', wallet, rules, updated_at: updatedAt }));
+        const data = lines.join('\n') + (lines.length > 0 ? '\n' : '');
+        const tempPath = `${this.filePath}.tmp`;
+
+        // Wait for pending appends, then swap the file atomically
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, data))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to compact alert rules', { error: error.message });
+            });
+
+        await this.writeChain;
+    }
+
+    /**
+     * Resolves once every queued write has reached the file
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    stats() {
+        let ruleCount = 0;
+        for (const rules of this.rules.values()) {
+            ruleCount += rules.length;
+        }
+
+        return { wallets: this.rules.size, rules: ruleCount };
+    }
+}
+
+module.exports = { AlertRuleStore, parseAlertRules, ALERT_RULE_TYPES };
@@ -0,0 +1,1905 @@
+/**
+ * Pump.fun and CoinGecko proxy as an Express app factory
+ * createProxyApp() wires everything up without listening, so the app can be used in-process
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const fetch = require('node-fetch');
+const rateLimit = require('express-rate-limit');
+const { resolveConfig } = require('./config');
+const { TokenSnapshotStore } = require('./token-snapshot-store');
+const { MetricsRegistry } = require('./metrics');
+const { logger, requestIdMiddleware } = require('./logger');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { ResponseCache, setCacheHeaders } = require('./response-cache');
+const { recordFixture } = require('./upstream-fixtures');
+const {
+    MARKET_STATUSES,
+    MARKET_OUTCOMES,
+    BET_STATUSES,
+    MarketStore,
+    parseMarketInput,
+    parseMarketToken,
+    describeMarket,
+    describeBet
+} = require('./market-store');
+const { renderTemplate, chooseTemplate, describeTemplates } = require('./question-templates');
+const { summarizePortfolio } = require('./portfolio');
+const { WALLET_CHAINS, WalletSessionStore } = require('./wallet-sessions');
+const { orderMessage, parseBetOrder, parsePaperOrder } = require('./bet-orders');
+const { verifySolanaSignature } = require('./wallet-signatures');
+const { PriceHistoryStore } = require('./price-history');
+const { AlertRuleStore, parseAlertRules } = require('./alert-rules');
+const { ResolutionEngine } = require('./market-resolution');
+const { MarketGenerator } = require('./market-generator');
+const {
+    DEFAULT_TOKEN_FILTERS,
+    sanitizeToken,
+    invalidQuery,
+    readNumberParam,
+    parseSinceParam,
+    parseTokenQuery,
+    matchesTokenFilters,
+    applyTokenQuery
+} = require('./token-query');
+
+// Fields that count as a meaningful change between two snapshots of the same token
+const TRACKED_TOKEN_FIELDS = ['market_cap', 'price', 'change_24h', 'volume_24h', 'holders', 'bonding_curve_progress', 'status'];
+
+const MAX_UPSTREAM_TOKENS = 500;
+const SNAPSHOT_COMPACT_INTERVAL = 60 * 60 * 1000; // Apply retention and compact the market journal hourly
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,48}$/; // Base58 mint address
+const DEFAULT_GRADUATIONS_WINDOW = 24 * 60 * 60 * 1000;
+const BREAKER_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+// Security: Only these CoinGecko paths and parameter values are ever requested
+const ALLOWED_MARKET_CATEGORIES = ['solana-ecosystem', 'meme-token'];
+const ALLOWED_MARKET_ORDERS = ['market_cap_desc', 'volume_desc'];
+const GENERATOR_CATEGORY = 'solana-ecosystem'; // Where the market generator looks for tokens
+const MAX_MARKET_IDS = 50;
+const MAX_MARKET_PAGE_SIZE = 100;
+
+// Security: The only routes that accept anything but GET
+const WRITE_ROUTES = [
+    { method: 'POST', path: /^\/api\/markets\/?$/ },
+    { method: 'POST', path: /^\/api\/markets\/[^/]+\/(bets|paper-bets)\/?$/ },
+    { method: 'POST', path: /^\/api\/markets\/[^/]+\/(lock|resolve|void)\/?$/ },
+    { method: 'POST', path: /^\/api\/auth\/(challenge|verify|logout|revoke)\/?$/ },
+    { method: 'POST', path: /^\/api\/paper\/(accounts|account\/reset)\/?$/ },
+    { method: 'PUT', path: /^\/api\/alerts\/rules\/?$/ }
+];
+const MARKET_QUERY_PARAMS = ['status', 'token'];
+const BET_QUERY_PARAMS = ['wallet', 'status'];
+const AUDIT_QUERY_PARAMS = ['market', 'limit'];
+const MAX_AUDIT_PAGE_SIZE = 1000;
+const MAX_QUOTE_AMOUNT = 10000; // SOL
+const MAX_AUDIT_REASON_LENGTH = 500;
+// Failed sign-in -> error label of the 401
+const SIGN_IN_ERRORS = {
+    UNKNOWN_CHALLENGE: 'Unknown challenge',
+    ORIGIN_MISMATCH: 'Origin mismatch',
+    INVALID_SIGNATURE: 'Invalid signature'
+};
+
+// Label upstreams by host and path, never by full URL or query string
+function upstreamLabel(url) {
+    return url.replace(/https?:\/\//, '');
+}
+
+// Constant-time check of an `Authorization: Bearer <token>` header
+function bearerTokenMatches(header, token) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) return false;
+
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Compare a fresh token list with the previous snapshot and describe what changed
+ * @param {Map|null} previous - mint -> token from the last poll
+ * @param {Array} tokens - sanitized tokens from the current poll
+ * @returns {Array<{type: string, token: Object}>}
+ */
+function diffTokenSnapshots(previous, tokens) {
+    const events = [];
+
+    for (const token of tokens) {
+        const before = previous && previous.get(token.mint);
+
+        if (!before) {
+            events.push({ type: 'token_added', token });
+        } else if (before.status !== 'graduated' && token.status === 'graduated') {
+            events.push({ type: 'token_graduated', token });
+        } else if (TRACKED_TOKEN_FIELDS.some(field => before[field] !== token[field])) {
+            events.push({ type: 'token_updated', token });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Only return the coins/markets fields the dashboard reads
+ */
+function sanitizeMarketCoin(coin) {
+    return {
+        id: String(coin.id || '').substring(0, 100),
+        symbol: String(coin.symbol || '').substring(0, 20),
+        name: String(coin.name || '').substring(0, 100),
+        image: String(coin.image || '').substring(0, 500),
+        current_price: Number(coin.current_price || 0),
+        market_cap: Number(coin.market_cap || 0),
+        market_cap_rank: coin.market_cap_rank ? Number(coin.market_cap_rank) : null,
+        total_volume: Number(coin.total_volume || 0),
+        price_change_percentage_24h: Number(coin.price_change_percentage_24h || 0),
+        price_change_percentage_7d_in_currency: Number(coin.price_change_percentage_7d_in_currency || 0),
+        circulating_supply: Number(coin.circulating_supply || 0)
+    };
+}
+
+/**
+ * The symbol, name and image a market shows for its token, from upstream data
+ * Images that are not https are dropped, as they are for markets created with one
+ */
+function tokenIdentity(token) {
+    const image = String(token.image || '');
+    return {
+        symbol: String(token.symbol || '').substring(0, 20),
+        name: String(token.name || '').substring(0, 100),
+        image: /^https:\/\//.test(image) ? image.substring(0, 500) : ''
+    };
+}
+
+function sendError(res, status, error, message) {
+    res.status(status).json({
+        success: false,
+        error,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function parsePageSize(value, fallback) {
+    if (value === undefined) return fallback;
+
+    const pageSize = Number(value);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_MARKET_PAGE_SIZE) {
+        return null;
+    }
+    return pageSize;
+}
+
+/**
+ * Build the proxy
+ * @param {Object} [options] - config overrides, see server/config.js (validated here)
+ * @returns {{app: Function, config: Object, start: Function, stop: Function}}
+ *   start() loads snapshot history and markets and listens on config.host:config.port, resolving with the http.Server;
+ *   stop() closes the server and live feed connections and flushes pending snapshot and market writes
+ */
+function createProxyApp(options = {}) {
+    const config = resolveConfig(options);
+    const app = express();
+
+    // =============================================
+    // OBSERVABILITY (Prometheus metrics, request logs)
+    // =============================================
+
+    const metrics = new MetricsRegistry();
+    const httpRequests = metrics.counter('pump_proxy_http_requests_total', 'HTTP requests handled, by route and status', ['method', 'route', 'status']);
+    const httpDuration = metrics.histogram('pump_proxy_http_request_duration_seconds', 'HTTP request latency, by route', ['method', 'route']);
+    const upstreamRequests = metrics.counter('pump_proxy_upstream_requests_total', 'Upstream calls, by allowlisted endpoint and outcome (success, failure, timeout, short_circuited)', ['upstream', 'outcome']);
+    const upstreamDuration = metrics.histogram('pump_proxy_upstream_request_duration_seconds', 'Upstream call latency, by allowlisted endpoint', ['upstream']);
+    const rateLimitRejections = metrics.counter('pump_proxy_rate_limited_total', 'Requests rejected by the per-IP rate limiter');
+    const budgetRejections = metrics.counter('pump_proxy_upstream_budget_rejections_total', 'Upstream calls refused because the CoinGecko rate budget was spent');
+    rateLimitRejections.inc({}, 0); // Export 0 rather than nothing until the first rejection
+    budgetRejections.inc({}, 0);
+
+    // Route templates keep label cardinality bounded (/api/pump/tokens/:mint/history, not every mint)
+    function routeLabel(req) {
+        return req.route ? req.baseUrl + req.route.path : 'unmatched';
+    }
+
+    // Record metrics and one access log line per request
+    function observeRequest(req, res, next) {
+        const stopTimer = httpDuration.startTimer({ method: req.method });
+        const requestId = req.id;
+
+        res.on('finish', () => {
+            const route = routeLabel(req);
+            const seconds = stopTimer({ route });
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            logger.info('Request completed', {
+                request_id: requestId,
+                method: req.method,
+                path: req.path,
+                route,
+                status: res.statusCode,
+                duration_ms: Math.round(seconds * 1000),
+                ip: req.ip
+            });
+        });
+
+        next();
+    }
+
+    function recordUpstreamCall(upstream, stopTimer, error) {
+        if (error && error.code === 'CIRCUIT_OPEN') {
+            // Nothing was sent, so there is no latency to record
+            upstreamRequests.inc({ upstream, outcome: 'short_circuited' });
+            return;
+        }
+
+        let outcome = 'success';
+        if (error) {
+            outcome = error.name === 'AbortError' ? 'timeout' : 'failure';
+        }
+        stopTimer({ upstream });
+        upstreamRequests.inc({ upstream, outcome });
+    }
+
+    // =============================================
+    // MIDDLEWARE (CORS, rate limit, method allowlist)
+    // =============================================
+
+    // Security: CORS restricted to the configured origins (localhost only in the secure profile)
+    const corsOptions = {
+        origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+        methods: ['GET', 'POST', 'PUT'],
+        allowedHeaders: ['Content-Type', 'Accept', 'X-Request-Id', 'Authorization'],
+        exposedHeaders: ['X-Request-Id'],
+        credentials: false
+    };
+
+    app.use(requestIdMiddleware);
+    app.use(observeRequest);
+    app.use(cors(corsOptions));
+    app.use(express.json({ limit: '1mb' }));
+
+    // Security: Rate limiting to prevent abuse
+    if (config.rateLimit.enabled) {
+        app.use(rateLimit({
+            windowMs: config.rateLimit.windowMs,
+            max: config.rateLimit.max,
+            message: 'Too many requests from this IP, please try again later.',
+            standardHeaders: true,
+            legacyHeaders: false,
+            skip: (req) => req.path === '/metrics', // Scrapers shouldn't eat the dashboard's budget
+            handler: (req, res, next, limitOptions) => {
+                rateLimitRejections.inc();
+                logger.warn('Rate limit exceeded', { ip: req.ip, path: req.path });
+                res.status(limitOptions.statusCode).send(limitOptions.message);
+            }
+        }));
+    }
+
+    // Security: Input validation middleware
+    app.use((req, res, next) => {
+        // Only allow GET requests, plus the allowlisted write routes
+        const allowedWrite = WRITE_ROUTES.some(route => route.method === req.method && route.path.test(req.path));
+        if (req.method !== 'GET' && !allowedWrite) {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // Basic security headers
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-XSS-Protection', '1; mode=block');
+
+        next();
+    });
+
+    // =============================================
+    // UPSTREAMS (circuit breakers, shared cache)
+    // =============================================
+
+    // Circuit breakers: fail fast while an upstream is down instead of waiting out the timeout
+    const breakerOptions = {
+        failureThreshold: config.upstream.failureThreshold,
+        cooldownMs: config.upstream.cooldownMs
+    };
+
+    // One breaker per allowlisted Pump.fun endpoint, keyed by host and path
+    const upstreamBreakers = new Map(config.upstream.endpoints.map(endpoint => {
+        const upstream = upstreamLabel(endpoint);
+        return [upstream, new CircuitBreaker(upstream, breakerOptions)];
+    }));
+
+    // CoinGecko shares one breaker across paths; our own budget running out isn't an upstream failure
+    const coingeckoHost = new URL(config.coingecko.baseUrl).host;
+    const coingeckoBreaker = new CircuitBreaker(coingeckoHost, {
+        ...breakerOptions,
+        isFailure: (error) => error.code !== 'BUDGET_EXHAUSTED'
+    });
+    upstreamBreakers.set(coingeckoHost, coingeckoBreaker);
+
+    const responseCache = new ResponseCache({ ttlMs: config.cache.ttlMs, staleTtlMs: config.cache.staleTtlMs });
+
+    // Security: Timeout and controlled headers on every upstream request
+    async function fetchJson(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), config.upstream.timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'PumpFeed-Proxy/1.0'
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Upstream responded with HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            // Record mode: keep the raw response (before sanitizing) for offline replay
+            if (config.upstream.recordDir) {
+                recordFixture(config.upstream.recordDir, url, response.status, data).catch(error => {
+                    logger.warn('Failed to record upstream fixture', { error: error.message });
+                });
+            }
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Fetch tokens from the first allowlisted endpoint that answers and sanitize them
+     * Endpoints whose circuit is open are skipped without a request
+     * @returns {Promise<{source: string, tokens: Array}>}
+     */
+    async function fetchUpstreamTokens() {
+        for (const endpoint of config.upstream.endpoints) {
+            const upstream = upstreamLabel(endpoint);
+            const stopTimer = upstreamDuration.startTimer();
+            try {
+                logger.debug('Trying upstream endpoint', { upstream });
+
+                const sanitizedTokens = await upstreamBreakers.get(upstream).run(() => fetchEndpointTokens(endpoint));
+
+                recordUpstreamCall(upstream, stopTimer);
+                logger.info('Fetched tokens from upstream', { upstream, tokens: sanitizedTokens.length });
+
+                return {
+                    source: upstream, // Don't expose full URLs
+                    tokens: sanitizedTokens
+                };
+            } catch (endpointError) {
+                recordUpstreamCall(upstream, stopTimer, endpointError);
+                if (endpointError.code === 'CIRCUIT_OPEN') {
+                    logger.debug('Skipping upstream endpoint, circuit open', { upstream });
+                } else {
+                    logger.warn('Upstream endpoint failed', { upstream, error: endpointError.message });
+                }
+                continue;
+            }
+        }
+
+        throw new Error('All upstream endpoints failed');
+    }
+
+    async function fetchEndpointTokens(endpoint) {
+        const data = await fetchJson(endpoint);
+
+        // Data validation and sanitization
+        const filteredTokens = Array.isArray(data) ? data : (data.coins || data.data || []);
+
+        if (!Array.isArray(filteredTokens)) {
+            throw new Error('Invalid data format received from API');
+        }
+
+        // Sanitize data (filtering happens per request, see applyTokenQuery)
+        return filteredTokens
+            .slice(0, MAX_UPSTREAM_TOKENS)
+            .map(sanitizeToken);
+    }
+
+    // =============================================
+    // PUMP.FUN TOKENS, HISTORY AND GRADUATIONS
+    // =============================================
+
+    const snapshotStore = new TokenSnapshotStore({
+        filePath: config.snapshots.file,
+        retentionMs: config.snapshots.retentionHours * 60 * 60 * 1000,
+        minIntervalMs: config.snapshots.intervalMs
+    });
+
+    // Symbol, name and image of the tokens in the latest upstream fetch; markets take these, not the request body's
+    let pumpTokenIdentities = new Map();
+
+    // Every upstream fetch is recorded, and fills in graduation times the upstream leaves empty
+    async function fetchAndRecordTokens() {
+        const result = await fetchUpstreamTokens();
+        pumpTokenIdentities = new Map(result.tokens.map(token => [token.mint, tokenIdentity(token)]));
+        return { ...result, tokens: snapshotStore.record(result.tokens) };
+    }
+
+    app.get('/api/pump/tokens', async (req, res) => {
+        try {
+            let query;
+            try {
+                query = parseTokenQuery(req.query);
+            } catch (queryError) {
+                if (queryError.code !== 'INVALID_QUERY') throw queryError;
+                return sendError(res, 400, 'Invalid query parameter', queryError.message);
+            }
+
+            let result;
+            try {
+                result = await responseCache.get('pump:tokens', fetchAndRecordTokens);
+            } catch (upstreamError) {
+                // If all endpoints fail
+                logger.error('Upstream error', { error: upstreamError.message });
+                return sendError(res, 502, 'Service temporarily unavailable', 'Unable to fetch token data at this time');
+            }
+
+            const { tokens, total, nextCursor } = applyTokenQuery(result.value.tokens, query);
+
+            setCacheHeaders(res, result);
+            res.json({
+                success: true,
+                source: result.value.source,
+                cache: result.cache,
+                count: tokens.length,
+                total,
+                next_cursor: nextCursor,
+                tokens,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error('Proxy error', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // Recorded snapshots for one token: /api/pump/tokens/:mint/history?since=2024-01-15T00:00:00Z&limit=100
+    app.get('/api/pump/tokens/:mint/history', (req, res) => {
+        const { mint } = req.params;
+
+        let since;
+        let limit;
+        try {
+            if (!MINT_PATTERN.test(mint)) {
+                throw invalidQuery('mint must be a base58 token address');
+            }
+            since = parseSinceParam(req.query.since, 0);
+            limit = readNumberParam(req.query, 'limit', 1, 1000, 500);
+            if (!Number.isInteger(limit)) {
+                throw invalidQuery('limit must be a number between 1 and 1000');
+            }
+        } catch (queryError) {
+            return sendError(res, 400, 'Invalid query parameter', queryError.message);
+        }
+
+        const snapshots = snapshotStore.getHistory(mint, { since, limit });
+        if (!snapshots) {
+            return sendError(res, 404, 'Token not found', 'No snapshots have been recorded for this mint');
+        }
+
+        res.json({
+            success: true,
+            mint,
+            graduation: snapshotStore.getGraduation(mint),
+            count: snapshots.length,
+            snapshots,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Recently graduated tokens: /api/pump/graduations?since=2024-01-15T00:00:00Z (defaults to the last 24h)
+    app.get('/api/pump/graduations', (req, res) => {
+        let since;
+        try {
+            since = parseSinceParam(req.query.since, Date.now() - DEFAULT_GRADUATIONS_WINDOW);
+        } catch (queryError) {
+            return sendError(res, 400, 'Invalid query parameter', queryError.message);
+        }
+
+        const graduations = snapshotStore.getGraduations(since);
+        res.json({
+            success: true,
+            since: new Date(since).toISOString(),
+            count: graduations.length,
+            graduations,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // =============================================
+    // LIVE FEED (Server-Sent Events)
+    // =============================================
+
+    const feedClients = new Set();
+    let feedSnapshot = null; // Map of mint -> last sanitized token pushed to clients
+    let feedPollTimer = null;
+    let feedHeartbeatTimer = null;
+    let feedPollInFlight = null;
+
+    function sendFeedEvent(res, type, payload) {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    function broadcastFeedEvent(type, payload) {
+        for (const client of feedClients) {
+            sendFeedEvent(client, type, payload);
+        }
+    }
+
+    // Concurrent callers (timer tick + a new client) share one upstream poll
+    function pollFeed() {
+        if (!feedPollInFlight) {
+            feedPollInFlight = runFeedPoll().finally(() => {
+                feedPollInFlight = null;
+            });
+        }
+        return feedPollInFlight;
+    }
+
+    async function runFeedPoll() {
+        try {
+            // Polls always go upstream and refresh the shared cache for /api/pump/tokens
+            const { value } = await responseCache.get('pump:tokens', fetchAndRecordTokens, { forceRefresh: true });
+
+            // The stream follows the default feed: graduated or about to graduate
+            const tokens = value.tokens.filter(token => token.mint && matchesTokenFilters(token, DEFAULT_TOKEN_FILTERS));
+            const events = diffTokenSnapshots(feedSnapshot, tokens);
+
+            feedSnapshot = new Map(tokens.map(token => [token.mint, token]));
+
+            events.forEach(event => {
+                broadcastFeedEvent(event.type, { token: event.token, timestamp: new Date().toISOString() });
+            });
+
+            if (events.length > 0) {
+                logger.info('Pushed feed events', { events: events.length, clients: feedClients.size });
+            }
+        } catch (error) {
+            logger.warn('Live feed poll failed', { error: error.message });
+        }
+    }
+
+    function startFeedPolling() {
+        if (feedPollTimer) return;
+
+        logger.info('Live feed polling started', { interval_ms: config.feed.pollIntervalMs });
+        feedPollTimer = setInterval(pollFeed, config.feed.pollIntervalMs);
+        feedHeartbeatTimer = setInterval(() => {
+            for (const client of feedClients) {
+                client.write(': heartbeat\n\n');
+            }
+        }, config.feed.heartbeatIntervalMs);
+    }
+
+    function stopFeedPolling() {
+        clearInterval(feedPollTimer);
+        clearInterval(feedHeartbeatTimer);
+        feedPollTimer = null;
+        feedHeartbeatTimer = null;
+        feedSnapshot = null;
+        logger.info('Live feed polling stopped (no clients)');
+    }
+
+    // Live feed endpoint: pushes token_added, token_updated and token_graduated events
+    app.get('/api/pump/stream', async (req, res) => {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        // Tell the browser how long to wait before reconnecting on its own
+        res.write(`retry: ${config.feed.pollIntervalMs}\n\n`);
+
+        feedClients.add(res);
+        logger.info('Live feed client connected', { ip: req.ip, clients: feedClients.size });
+
+        req.on('close', () => {
+            feedClients.delete(res);
+            logger.info('Live feed client disconnected', { clients: feedClients.size });
+            if (feedClients.size === 0) {
+                stopFeedPolling();
+            }
+        });
+
+        // New clients start from the current snapshot so they don't wait a full poll interval
+        if (!feedSnapshot) {
+            await pollFeed();
+        }
+        if (feedClients.has(res) && feedSnapshot) {
+            sendFeedEvent(res, 'snapshot', {
+                tokens: Array.from(feedSnapshot.values()),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (feedClients.size > 0) {
+            startFeedPolling();
+        }
+    });
+
+    // =============================================
+    // MARKET DATA GATEWAY (CoinGecko)
+    // =============================================
+
+    // One upstream rate budget shared by every browser
+    const coingeckoCallTimes = [];
+
+    function takeCoinGeckoBudget() {
+        const windowStart = Date.now() - 60 * 1000;
+        while (coingeckoCallTimes.length > 0 && coingeckoCallTimes[0] < windowStart) {
+            coingeckoCallTimes.shift();
+        }
+
+        if (coingeckoCallTimes.length >= config.coingecko.callsPerMinute) {
+            return false;
+        }
+
+        coingeckoCallTimes.push(Date.now());
+        return true;
+    }
+
+    function coingeckoBudgetUsed() {
+        return coingeckoCallTimes.filter(time => time > Date.now() - 60 * 1000).length;
+    }
+
+    async function fetchCoinGecko(path, params) {
+        const upstream = `${coingeckoHost}${path}`;
+        const stopTimer = upstreamDuration.startTimer();
+
+        try {
+            const data = await coingeckoBreaker.run(() => requestCoinGecko(path, params));
+            recordUpstreamCall(upstream, stopTimer);
+            return data;
+        } catch (error) {
+            if (error.code !== 'BUDGET_EXHAUSTED') {
+                recordUpstreamCall(upstream, stopTimer, error);
+            }
+            throw error;
+        }
+    }
+
+    function requestCoinGecko(path, params) {
+        if (!takeCoinGeckoBudget()) {
+            budgetRejections.inc();
+            const error = new Error('CoinGecko rate budget exhausted');
+            error.code = 'BUDGET_EXHAUSTED';
+            return Promise.reject(error);
+        }
+
+        logger.debug('CoinGecko request', { upstream: `${coingeckoHost}${path}` });
+        return fetchJson(`${config.coingecko.baseUrl}${path}?${new URLSearchParams(params)}`);
+    }
+
+    async function loadMarketCoins(params) {
+        const data = await fetchCoinGecko('/coins/markets', {
+            vs_currency: 'usd',
+            sparkline: 'false',
+            price_change_percentage: '24h,7d',
+            page: '1',
+            ...params
+        });
+
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid data format received from API');
+        }
+
+        return data.map(sanitizeMarketCoin);
+    }
+
+    // Serve a market-data response through the shared cache
+    async function sendMarketResponse(res, key, loader) {
+        try {
+            const result = await responseCache.get(key, loader);
+
+            setCacheHeaders(res, result);
+            res.json({
+                success: true,
+                source: coingeckoHost,
+                cache: result.cache,
+                count: result.value.length,
+                coins: result.value,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code === 'BUDGET_EXHAUSTED') {
+                logger.warn('CoinGecko rate budget exhausted', { cache_key: key });
+                res.setHeader('Retry-After', '60');
+                return sendError(res, 503, 'Market data rate limited', 'Upstream rate budget exhausted, please retry shortly');
+            }
+
+            logger.error('Market data error', { cache_key: key, error: error.message });
+            sendError(res, 502, 'Service temporarily unavailable', 'Unable to fetch market data at this time');
+        }
+    }
+
+    // Trending coins (search/trending), trimmed to identifiers
+    app.get('/api/market/trending', (req, res) => {
+        sendMarketResponse(res, 'market:trending', async () => {
+            const data = await fetchCoinGecko('/search/trending', {});
+
+            if (!data || !Array.isArray(data.coins)) {
+                throw new Error('Invalid data format received from API');
+            }
+
+            return data.coins.map(({ item = {} }) => ({
+                id: String(item.id || '').substring(0, 100),
+                symbol: String(item.symbol || '').substring(0, 20),
+                name: String(item.name || '').substring(0, 100),
+                image: String(item.large || item.thumb || '').substring(0, 500),
+                market_cap_rank: item.market_cap_rank ? Number(item.market_cap_rank) : null
+            }));
+        });
+    });
+
+    // Market data for specific coins: /api/market/coins?ids=solana,bonk
+    app.get('/api/market/coins', (req, res) => {
+        const ids = String(req.query.ids || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+
+        if (ids.length === 0 || ids.length > MAX_MARKET_IDS || !ids.every(id => /^[a-z0-9-]{1,100}$/.test(id))) {
+            return sendError(res, 400, 'Invalid parameter', `ids must be 1-${MAX_MARKET_IDS} comma-separated CoinGecko ids`);
+        }
+
+        const uniqueIds = [...new Set(ids)].sort();
+        sendMarketResponse(res, `market:coins:${uniqueIds.join(',')}`, () => loadMarketCoins({
+            ids: uniqueIds.join(','),
+            order: 'market_cap_desc',
+            per_page: String(uniqueIds.length)
+        }));
+    });
+
+    // Market data for an allowlisted category: /api/market/categories/solana-ecosystem?order=volume_desc&per_page=50
+    app.get('/api/market/categories/:category', (req, res) => {
+        const { category } = req.params;
+        const order = req.query.order || 'market_cap_desc';
+        const pageSize = parsePageSize(req.query.per_page, 50);
+
+        if (!ALLOWED_MARKET_CATEGORIES.includes(category)) {
+            return sendError(res, 404, 'Unknown category', `category must be one of: ${ALLOWED_MARKET_CATEGORIES.join(', ')}`);
+        }
+        if (!ALLOWED_MARKET_ORDERS.includes(order)) {
+            return sendError(res, 400, 'Invalid parameter', `order must be one of: ${ALLOWED_MARKET_ORDERS.join(', ')}`);
+        }
+        if (pageSize === null) {
+            return sendError(res, 400, 'Invalid parameter', `per_page must be an integer between 1 and ${MAX_MARKET_PAGE_SIZE}`);
+        }
+
+        sendMarketResponse(res, `market:category:${category}:${order}:${pageSize}`, () => loadMarketCoins({
+            category,
+            order,
+            per_page: String(pageSize)
+        }));
+    });
+
+    // =============================================
+    // WALLET SIGN-IN (challenge, signature, session)
+    // =============================================
+
+    const walletSessions = new WalletSessionStore({
+        challengeTtlMs: config.auth.challengeTtlMs,
+        sessionTtlMs: config.auth.sessionTtlMs,
+        maxChallenges: config.auth.maxChallenges
+    });
+
+    // The site signing in; pages opened from file:// send "null", so they get the proxy's own address
+    function requestOrigin(req) {
+        const origin = req.get('Origin');
+        return origin && origin !== 'null' ? origin : `${req.protocol}://${req.get('Host')}`;
+    }
+
+    // Answers 403 and returns null unless the page signing in is on corsOrigins (any page under "*") or is the proxy itself
+    function signInOrigin(req, res) {
+        const origin = requestOrigin(req);
+        if (origin === `${req.protocol}://${req.get('Host')}` || config.corsOrigins.includes('*') || config.corsOrigins.includes(origin)) {
+            return origin;
+        }
+        sendError(res, 403, 'Forbidden origin', `${origin} is not allowed to sign in here`);
+        return null;
+    }
+
+    function bearerToken(req) {
+        const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        return match ? match[1] : null;
+    }
+
+    // Admins: scripts holding markets.adminToken, or wallets on markets.adminWallets once signed in
+    const adminWallets = new Set(config.markets.adminWallets.map(address => (address.startsWith('0x') ? address.toLowerCase() : address)));
+
+    // "admin" for the admin token, "<chain>:<address>" for an allowlisted wallet, else null
+    function adminActor(req) {
+        if (config.markets.adminToken && bearerTokenMatches(req.get('Authorization'), config.markets.adminToken)) {
+            return 'admin';
+        }
+        const session = walletSessions.authenticate(bearerToken(req));
+        return session && adminWallets.has(session.address) ? `${session.chain}:${session.address}` : null;
+    }
+
+    // Answers 403 or 401 and returns null unless the caller is an admin
+    function requireAdmin(req, res) {
+        if (!config.markets.adminToken && adminWallets.size === 0) {
+            sendError(res, 403, 'Admin actions disabled', 'Set markets.adminToken or markets.adminWallets to use admin actions');
+            return null;
+        }
+
+        const actor = adminActor(req);
+        if (actor) return actor;
+
+        if (walletSessions.authenticate(bearerToken(req))) {
+            sendError(res, 403, 'Forbidden', 'This wallet is not on the admin allowlist');
+        } else {
+            sendError(res, 401, 'Unauthorized', 'Sign in with an admin wallet or send the admin token');
+        }
+        return null;
+    }
+
+    // Step 1: { chain: "solana" | "ethereum", address } -> the message to sign
+    app.post('/api/auth/challenge', (req, res) => {
+        const origin = signInOrigin(req, res);
+        if (!origin) return;
+
+        const body = req.body || {};
+        let challenge;
+        try {
+            challenge = walletSessions.createChallenge({ chain: body.chain, address: body.address, origin });
+        } catch (error) {
+            if (error.code === 'INVALID_SIGN_IN') {
+                return sendError(res, 400, 'Invalid request', error.message);
+            }
+            if (error.code === 'TOO_MANY_CHALLENGES') {
+                return sendError(res, 503, 'Sign-in busy', error.message);
+            }
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            challenge,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Step 2: { nonce, signature } -> a bearer token for the session
+    app.post('/api/auth/verify', (req, res) => {
+        const origin = signInOrigin(req, res);
+        if (!origin) return;
+
+        const body = req.body || {};
+        let verified;
+        try {
+            verified = walletSessions.verifyChallenge({ nonce: body.nonce, signature: body.signature, origin });
+        } catch (error) {
+            if (SIGN_IN_ERRORS[error.code]) {
+                return sendError(res, 401, SIGN_IN_ERRORS[error.code], error.message);
+            }
+            throw error;
+        }
+
+        logger.info('Wallet signed in', { session: verified.session.id, chain: verified.session.chain, address: verified.session.address });
+        res.status(201).json({
+            success: true,
+            token: verified.token,
+            session: verified.session,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // The session behind `Authorization: Bearer <token>`
+    app.get('/api/auth/session', (req, res) => {
+        const session = walletSessions.authenticate(bearerToken(req));
+        if (!session) {
+            return sendError(res, 401, 'Not signed in', 'The session is missing, expired or revoked');
+        }
+        res.json({ success: true, session, timestamp: new Date().toISOString() });
+    });
+
+    app.post('/api/auth/logout', (req, res) => {
+        res.json({ success: true, revoked: walletSessions.revoke(bearerToken(req)), timestamp: new Date().toISOString() });
+    });
+
+    // Sign a wallet out everywhere: { chain, address } with the admin token
+    app.post('/api/auth/revoke', (req, res) => {
+        const actor = requireAdmin(req, res);
+        if (!actor) return;
+
+        const { chain, address } = req.body || {};
+        if (!Object.keys(WALLET_CHAINS).includes(chain) || typeof address !== 'string' || address.length === 0) {
+            return sendError(res, 400, 'Invalid request', `chain (${Object.keys(WALLET_CHAINS).join(' or ')}) and address are required`);
+        }
+
+        const revoked = walletSessions.revokeWallet(chain, address);
+        logger.warn('Wallet sessions revoked', { chain, address, revoked, actor });
+        res.json({ success: true, revoked, timestamp: new Date().toISOString() });
+    });
+
+    // =============================================
+    // PREDICTION MARKETS
+    // =============================================
+
+    const marketStore = new MarketStore({ filePath: config.markets.file, liquidity: config.markets.liquidity });
+    const maxMarketDurationMs = config.markets.maxDurationDays * 24 * 60 * 60 * 1000;
+
+    // Samples of CoinGecko tokens with markets; pump.fun mints settle on snapshotStore
+    const priceHistory = new PriceHistoryStore({
+        filePath: config.markets.historyFile,
+        retentionMs: maxMarketDurationMs + 24 * 60 * 60 * 1000,
+        minIntervalMs: config.snapshots.intervalMs
+    });
+
+    const resolutionEngine = new ResolutionEngine({
+        marketStore,
+        history: {
+            getHistory: token => (token.source === 'pump' ? snapshotStore.getHistory(token.id) || [] : priceHistory.getHistory(token))
+        },
+        toleranceMs: config.markets.settlementToleranceMs,
+        sample: sampleMarketToken
+    });
+
+    /**
+     * Token metrics when a market opens; resolution rules are measured against these,
+     * and question templates are picked from the recent changes
+     * @returns {Promise<Object|null>} price, market_cap, volume_24h, change_24h, change_7d (percent), recorded_at
+     *   and identity (upstream symbol, name and image); null when we have no data for the token
+     */
+    async function readMarketBaseline(token) {
+        if (token.source === 'pump') {
+            const history = snapshotStore.getHistory(token.id, { limit: 1 });
+            // Tokens that left the feed are still known by their graduation record
+            const identity = pumpTokenIdentities.get(token.id) || snapshotStore.getGraduation(token.id);
+            if (!history || history.length === 0 || !identity) return null;
+
+            const [latest] = history;
+            return {
+                identity: tokenIdentity(identity),
+                price: latest.price,
+                market_cap: latest.market_cap,
+                volume_24h: latest.volume_24h,
+                change_24h: latest.change_24h,
+                change_7d: null,
+                recorded_at: latest.timestamp
+            };
+        }
+
+        // Same cache entry as /api/market/coins?ids=<id>
+        const result = await responseCache.get(`market:coins:${token.id}`, () => loadMarketCoins({
+            ids: token.id,
+            order: 'market_cap_desc',
+            per_page: '1'
+        }));
+        const coin = result.value.find(candidate => candidate.id === token.id);
+        if (!coin) return null;
+
+        return coinBaseline(token, coin, Date.now() - result.age);
+    }
+
+    // readMarketBaseline() for a CoinGecko coin we already have; the values are kept as a price sample
+    function coinBaseline(token, coin, recordedAt) {
+        const values = { price: coin.current_price, market_cap: coin.market_cap, volume_24h: coin.total_volume };
+        priceHistory.record(token, values, recordedAt);
+        return {
+            ...values,
+            identity: tokenIdentity(coin),
+            change_24h: coin.price_change_percentage_24h,
+            change_7d: coin.price_change_percentage_7d_in_currency,
+            recorded_at: new Date(recordedAt).toISOString()
+        };
+    }
+
+    // Fresh data for a market that is waiting to settle
+    async function sampleMarketToken(token) {
+        if (token.source === 'pump') {
+            await fetchAndRecordTokens();
+            return;
+        }
+        await readMarketBaseline(token);
+    }
+
+    // Runs never overlap: a slow CoinGecko call can outlast the interval
+    let resolutionRun = null;
+    function runResolution() {
+        if (!resolutionRun) {
+            resolutionRun = resolutionEngine.run()
+                .catch(error => {
+                    logger.error('Market resolution failed', { error: error.message });
+                })
+                .finally(() => {
+                    resolutionRun = null;
+                });
+        }
+        return resolutionRun;
+    }
+
+    // Markets open on a schedule, not from page loads: one category request per run, shared with the dashboard's
+    const marketGenerator = new MarketGenerator({
+        marketStore,
+        loadCandidates: async () => {
+            const result = await responseCache.get(`market:category:${GENERATOR_CATEGORY}:volume_desc:50`, () => loadMarketCoins({
+                category: GENERATOR_CATEGORY,
+                order: 'volume_desc',
+                per_page: '50'
+            }));
+            return { coins: result.value, recordedAt: Date.now() - result.age };
+        },
+        openMarket: openAutoMarket,
+        count: config.markets.generateCount,
+        screening: config.markets.screening
+    });
+
+    // An 'auto' template market on a screened coin, the way POST /api/markets opens one
+    async function openAutoMarket(coin, recordedAt) {
+        const token = { id: coin.id, source: 'coingecko', ...tokenIdentity(coin) };
+        const metrics = coinBaseline(token, coin, recordedAt);
+        const input = renderTemplateInput({ template: 'auto' }, token, metrics);
+        if (marketStore.findOpenDuplicate(input)) return null;
+
+        let reference = null;
+        if (input.resolution.reference) {
+            reference = await readMarketBaseline({ source: 'coingecko', id: input.resolution.reference });
+            if (!reference) return null;
+        }
+        return openMarket(input, metrics, reference, { method: 'template', actor: 'market-generator' });
+    }
+
+    let generationRun = null;
+    function runGeneration() {
+        if (!generationRun) {
+            generationRun = marketGenerator.run()
+                .catch(error => {
+                    logger.error('Market generation failed', { error: error.message });
+                })
+                .finally(() => {
+                    generationRun = null;
+                });
+        }
+        return generationRun;
+    }
+
+    // Markets: /api/markets?status=open&token=bonk
+    app.get('/api/markets', (req, res) => {
+        const unknown = Object.keys(req.query).filter(name => !MARKET_QUERY_PARAMS.includes(name));
+        if (unknown.length > 0) {
+            return sendError(res, 400, 'Invalid query parameter', `Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${MARKET_QUERY_PARAMS.join(', ')}`);
+        }
+
+        const { status, token } = req.query;
+        if (status !== undefined && !MARKET_STATUSES.includes(status)) {
+            return sendError(res, 400, 'Invalid query parameter', `status must be one of: ${MARKET_STATUSES.join(', ')}`);
+        }
+        if (token !== undefined && (typeof token !== 'string' || !/^[A-Za-z0-9-]{1,100}$/.test(token))) {
+            return sendError(res, 400, 'Invalid query parameter', 'token must be a CoinGecko id or a mint address');
+        }
+
+        marketStore.lockExpired();
+        const markets = marketStore.list({ status, token }).map(describeMarket);
+
+        res.json({
+            success: true,
+            count: markets.length,
+            markets,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Question templates for POST /api/markets (registered before /:id)
+    app.get('/api/markets/templates', (req, res) => {
+        res.json({
+            success: true,
+            templates: describeTemplates(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // The market generator's screen, which the dashboard's token screening starts from
+    app.get('/api/markets/screening', (req, res) => {
+        res.json({
+            success: true,
+            screening: config.markets.screening,
+            count: config.markets.generateCount,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    app.get('/api/markets/:id', (req, res) => {
+        marketStore.lockExpired();
+        const market = marketStore.get(req.params.id);
+        if (!market) {
+            return sendError(res, 404, 'Market not found', 'No market exists with this id');
+        }
+
+        res.json({
+            success: true,
+            market: describeMarket(market),
+            audit: marketStore.getAudit({ market: market.id }),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Market maker quote for a buy, shown before the bet is confirmed: /api/markets/:id/quote?side=yes&amount=1.5
+    app.get('/api/markets/:id/quote', (req, res) => {
+        marketStore.lockExpired();
+        const market = marketStore.get(req.params.id);
+        if (!market) {
+            return sendError(res, 404, 'Market not found', 'No market exists with this id');
+        }
+
+        const { side } = req.query;
+        if (!MARKET_OUTCOMES.includes(side)) {
+            return sendError(res, 400, 'Invalid query parameter', `side must be one of: ${MARKET_OUTCOMES.join(', ')}`);
+        }
+
+        let amount;
+        try {
+            amount = readNumberParam(req.query, 'amount', 0, MAX_QUOTE_AMOUNT, undefined);
+            if (!(amount > 0)) {
+                throw invalidQuery(`amount must be a number between 0 and ${MAX_QUOTE_AMOUNT}`);
+            }
+        } catch (queryError) {
+            return sendError(res, 400, 'Invalid query parameter', queryError.message);
+        }
+
+        let quote;
+        try {
+            quote = marketStore.quote(market.id, side, amount);
+        } catch (error) {
+            if (error.code !== 'MARKET_CLOSED') throw error;
+            return sendError(res, 409, 'Market closed', `Market is ${market.status} and no longer trading`);
+        }
+
+        res.json({
+            success: true,
+            market_id: market.id,
+            quote,
+            prices: describeMarket(market).prices,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Read a baseline, answering the request when it can't be had
+    async function readBaselineOrFail(token, res) {
+        let baseline;
+        try {
+            baseline = await readMarketBaseline(token);
+        } catch (error) {
+            if (error.code === 'BUDGET_EXHAUSTED') {
+                res.setHeader('Retry-After', '60');
+                sendError(res, 503, 'Market data rate limited', 'Upstream rate budget exhausted, please retry shortly');
+                return null;
+            }
+            logger.error('Market baseline error', { token: token.id, error: error.message });
+            sendError(res, 502, 'Service temporarily unavailable', 'Unable to fetch market data at this time');
+            return null;
+        }
+        if (!baseline) {
+            sendError(res, 422, 'Unknown token', `No market data is available for ${token.id}`);
+        }
+        return baseline;
+    }
+
+    /**
+     * Market input from a question template: { token, template: { id, params } } or { token, template: 'auto' }
+     * 'auto' picks the template from the token's recent moves (see chooseTemplate)
+     */
+    function renderTemplateInput(body, token, baseline) {
+        const choice = body.template === 'auto' ? chooseTemplate(token, baseline) : body.template;
+        if (!choice || typeof choice !== 'object') {
+            const error = new Error("template must be 'auto' or { id, params }");
+            error.code = 'INVALID_MARKET';
+            throw error;
+        }
+
+        const rendered = renderTemplate(choice.id, choice.params, token);
+        const input = parseMarketInput({
+            token,
+            question: rendered.question,
+            resolution: rendered.resolution,
+            expires_at: new Date(Date.now() + rendered.horizon_hours * 60 * 60 * 1000).toISOString()
+        }, { maxDurationMs: maxMarketDurationMs });
+        return { ...input, template: rendered.template };
+    }
+
+    /**
+     * Store a new market on its token's baseline and audit who opened it
+     * @param {Object} input - parsed market input
+     * @param {Object} metrics - readMarketBaseline() of the token
+     * @param {Object|null} reference - readMarketBaseline() of the reference asset, for comparison questions
+     * @param {{method: string, actor: string}} creation
+     */
+    function openMarket(input, metrics, reference, creation) {
+        const baseline = {
+            price: metrics.price,
+            market_cap: metrics.market_cap,
+            volume_24h: metrics.volume_24h,
+            recorded_at: metrics.recorded_at
+        };
+        if (reference) {
+            baseline.reference = { id: input.resolution.reference, price: reference.price, recorded_at: reference.recorded_at };
+        }
+
+        const market = marketStore.create(input, baseline);
+        marketStore.recordCreation(market, creation);
+        logger.info('Market created', {
+            market: market.id,
+            token: market.token.id,
+            template: market.template ? market.template.id : null,
+            actor: creation.actor,
+            change_24h: metrics.change_24h,
+            change_7d: metrics.change_7d,
+            expires_at: market.expires_at
+        });
+        return market;
+    }
+
+    app.post('/api/markets', async (req, res, next) => {
+        const fromTemplate = Boolean(req.body && typeof req.body === 'object' && req.body.template !== undefined);
+
+        // Admins open markets by hand; everyone else gets the ones the market generator opens
+        const actor = requireAdmin(req, res);
+        if (!actor) return;
+
+        // Explicit questions are checked before any upstream call; templates need the token's data first
+        let input;
+        let token;
+        try {
+            if (fromTemplate) {
+                token = parseMarketToken(req.body.token);
+            } else {
+                input = parseMarketInput(req.body, { maxDurationMs: maxMarketDurationMs });
+                token = input.token;
+            }
+        } catch (inputError) {
+            if (inputError.code !== 'INVALID_MARKET') return next(inputError);
+            return sendError(res, 400, 'Invalid market', inputError.message);
+        }
+
+        if (input) {
+            const duplicate = marketStore.findOpenDuplicate(input);
+            if (duplicate) {
+                return sendError(res, 409, 'Market already exists', `Open market ${duplicate.id} already asks this question`);
+            }
+        }
+
+        const metrics = await readBaselineOrFail(token, res);
+        if (!metrics) return;
+
+        // What the market shows for the token comes from upstream, never from the body
+        token = { ...token, ...metrics.identity };
+        if (input) {
+            input = { ...input, token };
+        }
+
+        if (fromTemplate) {
+            try {
+                input = renderTemplateInput(req.body, token, metrics);
+            } catch (inputError) {
+                if (inputError.code !== 'INVALID_MARKET') return next(inputError);
+                return sendError(res, 400, 'Invalid market', inputError.message);
+            }
+
+            const duplicate = marketStore.findOpenDuplicate(input);
+            if (duplicate) {
+                return sendError(res, 409, 'Market already exists', `Open market ${duplicate.id} already asks this question`);
+            }
+        }
+
+        let reference = null;
+        if (input.resolution.reference) {
+            reference = await readBaselineOrFail({ source: 'coingecko', id: input.resolution.reference }, res);
+            if (!reference) return;
+        }
+
+        const market = openMarket(input, metrics, reference, {
+            method: fromTemplate ? 'template' : 'custom',
+            actor
+        });
+
+        res.status(201).json({
+            success: true,
+            market: describeMarket(market),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Place a wallet-signed order: { order: { market_id, side, amount, max_price, nonce, expires_at, wallet }, signature }
+    app.post('/api/markets/:id/bets', (req, res, next) => {
+        marketStore.lockExpired();
+        const market = marketStore.get(req.params.id);
+        if (!market) {
+            return sendError(res, 404, 'Market not found', 'No market exists with this id');
+        }
+
+        let order;
+        let signature;
+        try {
+            ({ order, signature } = parseBetOrder(req.body, {
+                marketId: market.id,
+                minStake: config.markets.minStake,
+                maxStake: config.markets.maxStake
+            }));
+        } catch (orderError) {
+            if (orderError.code === 'ORDER_EXPIRED') return sendError(res, 400, 'Order expired', orderError.message);
+            if (orderError.code !== 'INVALID_ORDER') return next(orderError);
+            return sendError(res, 400, 'Invalid order', orderError.message);
+        }
+
+        if (!verifySolanaSignature(orderMessage(order), signature, order.wallet)) {
+            return sendError(res, 401, 'Invalid signature', 'The signature does not match this order and wallet');
+        }
+
+        let placed;
+        try {
+            placed = marketStore.placeBet(order, signature);
+        } catch (error) {
+            if (error.code === 'ORDER_REPLAYED') return sendError(res, 409, 'Order already used', error.message);
+            if (error.code === 'MARKET_CLOSED') return sendError(res, 409, 'Market closed', `Market is ${market.status} and no longer trading`);
+            if (error.code === 'PRICE_MOVED') return sendError(res, 409, 'Price moved', error.message);
+            return next(error);
+        }
+
+        const { bet, market: updated } = placed;
+        logger.info('Bet placed', { bet: bet.id, market: updated.id, side: bet.side, amount: bet.amount });
+
+        res.status(201).json({
+            success: true,
+            bet,
+            market: describeMarket(updated),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * A wallet route's query for the signed-in wallet (Authorization: Bearer <session token>)
+     * wallet may be left out; any other wallet is refused, positions are private
+     * @returns {Object|null} the query with wallet set to the session's address; null once answered with 400, 401 or 403
+     */
+    function readSessionWalletQuery(req, res, allowed) {
+        const session = walletSessions.authenticate(bearerToken(req));
+        if (!session) {
+            sendError(res, 401, 'Not signed in', 'Sign in with the wallet to see its positions');
+            return null;
+        }
+        if (req.query.wallet !== undefined && req.query.wallet !== session.address) {
+            sendError(res, 403, 'Forbidden', 'Positions are only served to the signed-in wallet');
+            return null;
+        }
+
+        const unknown = Object.keys(req.query).filter(name => !allowed.includes(name));
+        if (unknown.length > 0) {
+            sendError(res, 400, 'Invalid query parameter', `Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+            return null;
+        }
+        return { ...req.query, wallet: session.address };
+    }
+
+    // A wallet's bets as positions, newest first
+    function walletPositions(wallet) {
+        marketStore.lockExpired();
+        return marketStore.getBets({ wallet })
+            .reverse()
+            .map(bet => describeBet(bet, marketStore.get(bet.market_id)));
+    }
+
+    // The signed-in wallet's positions: /api/bets?status=open
+    app.get('/api/bets', (req, res) => {
+        const query = readSessionWalletQuery(req, res, BET_QUERY_PARAMS);
+        if (!query) return;
+        if (query.status !== undefined && !BET_STATUSES.includes(query.status)) {
+            return sendError(res, 400, 'Invalid query parameter', `status must be one of: ${BET_STATUSES.join(', ')}`);
+        }
+
+        const bets = walletPositions(query.wallet).filter(bet => !query.status || bet.status === query.status);
+
+        res.json({
+            success: true,
+            count: bets.length,
+            bets,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Totals, exposure and P&L history for the signed-in wallet: /api/portfolio
+    app.get('/api/portfolio', (req, res) => {
+        const query = readSessionWalletQuery(req, res, ['wallet']);
+        if (!query) return;
+
+        const positions = walletPositions(query.wallet);
+
+        res.json({
+            success: true,
+            wallet: query.wallet,
+            ...summarizePortfolio(positions),
+            positions,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Manual settlement by an admin (see requireAdmin); every action needs an audit reason
+    function readAdminAction(req, res) {
+        const actor = requireAdmin(req, res);
+        if (!actor) return null;
+
+        const market = marketStore.get(req.params.id);
+        if (!market) {
+            sendError(res, 404, 'Market not found', 'No market exists with this id');
+            return null;
+        }
+        if (market.status === 'voided') {
+            sendError(res, 409, 'Market voided', 'Voided markets are final');
+            return null;
+        }
+
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (reason.length < 3 || reason.length > MAX_AUDIT_REASON_LENGTH) {
+            sendError(res, 400, 'Invalid request', `reason must be 3-${MAX_AUDIT_REASON_LENGTH} characters explaining the action`);
+            return null;
+        }
+
+        return { market, reason, actor };
+    }
+
+    function sendSettlement(res, settled) {
+        const audit = marketStore.getAudit({ market: settled.market.id });
+        res.json({
+            success: true,
+            market: describeMarket(settled.market),
+            bets_settled: settled.bets.length,
+            audit: audit[audit.length - 1],
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Resolve a locked market, or override the outcome of a resolved one: { outcome, reason }
+    app.post('/api/markets/:id/resolve', (req, res) => {
+        marketStore.lockExpired();
+        const action = readAdminAction(req, res);
+        if (!action) return;
+
+        const { market, reason, actor } = action;
+        if (market.status === 'open') {
+            return sendError(res, 409, 'Market open', 'Lock the market (wait for expiry) before resolving it');
+        }
+        if (!MARKET_OUTCOMES.includes(req.body.outcome)) {
+            return sendError(res, 400, 'Invalid request', `outcome must be one of: ${MARKET_OUTCOMES.join(', ')}`);
+        }
+
+        const settled = marketStore.resolve(market.id, req.body.outcome, { method: 'manual', actor, reason });
+        logger.warn('Market resolved by hand', { market: market.id, outcome: req.body.outcome, previous_outcome: market.outcome, reason, actor });
+        sendSettlement(res, settled);
+    });
+
+    // Void a market and refund its bets: { reason }
+    app.post('/api/markets/:id/void', (req, res) => {
+        marketStore.lockExpired();
+        const action = readAdminAction(req, res);
+        if (!action) return;
+
+        const { market, reason, actor } = action;
+        const settled = marketStore.void(market.id, { method: 'manual', actor, reason });
+        logger.warn('Market voided by hand', { market: market.id, previous_status: market.status, reason, actor });
+        sendSettlement(res, settled);
+    });
+
+    // Stop trading before expiry: { reason }. The market still settles on the price at expiry
+    app.post('/api/markets/:id/lock', (req, res) => {
+        marketStore.lockExpired();
+        const action = readAdminAction(req, res);
+        if (!action) return;
+
+        const { market, reason, actor } = action;
+        if (market.status !== 'open') {
+            return sendError(res, 409, 'Market not open', `Market is already ${market.status}`);
+        }
+
+        const locked = marketStore.lock(market.id, { method: 'manual', actor, reason });
+        logger.warn('Market locked by hand', { market: market.id, reason, actor });
+        sendSettlement(res, { market: locked, bets: [] });
+    });
+
+    // Who is signed in as admin, so the dashboard knows whether to show the console
+    app.get('/api/admin/session', (req, res) => {
+        const actor = requireAdmin(req, res);
+        if (!actor) return;
+        res.json({ success: true, actor, timestamp: new Date().toISOString() });
+    });
+
+    // Every market action, newest first: /api/admin/audit?market=mkt_...&limit=100
+    app.get('/api/admin/audit', (req, res) => {
+        const actor = requireAdmin(req, res);
+        if (!actor) return;
+
+        const unknown = Object.keys(req.query).filter(name => !AUDIT_QUERY_PARAMS.includes(name));
+        if (unknown.length > 0) {
+            return sendError(res, 400, 'Invalid query parameter', `Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${AUDIT_QUERY_PARAMS.join(', ')}`);
+        }
+        const limit = req.query.limit === undefined ? 200 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+            return sendError(res, 400, 'Invalid query parameter', `limit must be an integer between 1 and ${MAX_AUDIT_PAGE_SIZE}`);
+        }
+
+        const records = marketStore.getAudit({ market: req.query.market }).slice().reverse();
+        res.json({
+            success: true,
+            total: records.length,
+            audit: records.slice(0, limit),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // =============================================
+    // PAPER TRADING
+    // =============================================
+
+    // Paper accounts are anonymous: `Authorization: Bearer <key>` from POST /api/paper/accounts is the only credential
+    function requirePaperAccount(req, res) {
+        const account = marketStore.getPaperAccount(bearerToken(req));
+        if (!account) {
+            sendError(res, 401, 'Unknown paper account', 'Open a paper account and send its key as a bearer token');
+        }
+        return account;
+    }
+
+    function sendPaperAccount(res, account, status = 200) {
+        marketStore.lockExpired();
+        const positions = marketStore.getPaperBets(account)
+            .reverse()
+            .map(bet => describeBet(bet, marketStore.get(bet.market_id)));
+
+        res.status(status).json({
+            success: true,
+            account: marketStore.describePaperAccount(account),
+            ...summarizePortfolio(positions),
+            positions,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Opening accounts is free, so each IP gets a few per hour, whatever the general rate limit
+    const paperAccountLimiter = rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: config.markets.paperAccountsPerHour,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res) => {
+            rateLimitRejections.inc();
+            logger.warn('Paper account limit exceeded', { ip: req.ip });
+            sendError(res, 429, 'Too many paper accounts', 'This address has opened too many paper accounts, please try again later');
+        }
+    });
+
+    app.post('/api/paper/accounts', paperAccountLimiter, (req, res) => {
+        const { account, key } = marketStore.openPaperAccount(config.markets.paperBalance);
+        logger.info('Paper account opened', { account: account.id });
+
+        res.status(201).json({
+            success: true,
+            key,
+            account: marketStore.describePaperAccount(account),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // The balance and the positions since the last reset, summarized like /api/portfolio
+    app.get('/api/paper/account', (req, res) => {
+        const account = requirePaperAccount(req, res);
+        if (!account) return;
+        sendPaperAccount(res, account);
+    });
+
+    app.post('/api/paper/account/reset', (req, res) => {
+        const account = requirePaperAccount(req, res);
+        if (!account) return;
+
+        const reset = marketStore.resetPaperAccount(account.id);
+        logger.info('Paper account reset', { account: account.id });
+        sendPaperAccount(res, reset);
+    });
+
+    // Place a paper bet: { order: { market_id, side, amount, max_price } }, filled at the quoted average price without moving the market
+    app.post('/api/markets/:id/paper-bets', (req, res, next) => {
+        const account = requirePaperAccount(req, res);
+        if (!account) return;
+
+        marketStore.lockExpired();
+        const market = marketStore.get(req.params.id);
+        if (!market) {
+            return sendError(res, 404, 'Market not found', 'No market exists with this id');
+        }
+
+        let order;
+        try {
+            order = parsePaperOrder(req.body, {
+                marketId: market.id,
+                minStake: config.markets.minStake,
+                maxStake: config.markets.maxStake
+            });
+        } catch (orderError) {
+            if (orderError.code !== 'INVALID_ORDER') return next(orderError);
+            return sendError(res, 400, 'Invalid order', orderError.message);
+        }
+
+        let bet;
+        try {
+            bet = marketStore.placePaperBet(account, order);
+        } catch (error) {
+            if (error.code === 'MARKET_CLOSED') return sendError(res, 409, 'Market closed', `Market is ${market.status} and no longer trading`);
+            if (error.code === 'PRICE_MOVED') return sendError(res, 409, 'Price moved', error.message);
+            if (error.code === 'INSUFFICIENT_BALANCE') return sendError(res, 409, 'Insufficient balance', error.message);
+            return next(error);
+        }
+
+        logger.info('Paper bet placed', { bet: bet.id, market: market.id, account: account.id, side: bet.side, amount: bet.amount });
+
+        res.status(201).json({
+            success: true,
+            bet: describeBet(bet, market),
+            account: marketStore.describePaperAccount(account),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // =============================================
+    // ALERT RULES (per signed-in wallet)
+    // =============================================
+
+    const alertRules = new AlertRuleStore({ filePath: config.alerts.file });
+
+    // "<chain>:<address>" of the signed-in wallet; answers 401 and returns null without a session
+    function alertRulesWallet(req, res) {
+        const session = walletSessions.authenticate(bearerToken(req));
+        if (!session) {
+            sendError(res, 401, 'Not signed in', 'Sign in with the wallet to keep its alert rules');
+            return null;
+        }
+        return `${session.chain}:${session.address}`;
+    }
+
+    app.get('/api/alerts/rules', (req, res) => {
+        const wallet = alertRulesWallet(req, res);
+        if (!wallet) return;
+
+        res.json({ success: true, rules: alertRules.get(wallet), timestamp: new Date().toISOString() });
+    });
+
+    // { rules } replaces the wallet's whole list, as the dashboard keeps it
+    app.put('/api/alerts/rules', (req, res, next) => {
+        const wallet = alertRulesWallet(req, res);
+        if (!wallet) return;
+
+        let rules;
+        try {
+            rules = parseAlertRules((req.body || {}).rules, config.alerts.maxRules);
+        } catch (error) {
+            if (error.code !== 'INVALID_ALERT_RULES') return next(error);
+            return sendError(res, 400, 'Invalid alert rules', error.message);
+        }
+
+        alertRules.set(wallet, rules);
+        res.json({ success: true, rules, timestamp: new Date().toISOString() });
+    });
+
+    // =============================================
+    // HEALTH AND METRICS
+    // =============================================
+
+    // Health check endpoint: DEGRADED (503) once every upstream circuit is open
+    app.get('/health', (req, res) => {
+        const upstreams = {};
+        for (const [upstream, breaker] of upstreamBreakers) {
+            upstreams[upstream] = breaker.describe();
+        }
+        const allOpen = Object.values(upstreams).every(upstream => upstream.state === 'open');
+
+        res.status(allOpen ? 503 : 200).json({
+            status: allOpen ? 'DEGRADED' : 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            version: '1.0.0',
+            profile: config.profile,
+            upstreams,
+            cache: {
+                ...responseCache.stats,
+                entries: responseCache.size,
+                ttl_ms: config.cache.ttlMs,
+                stale_ttl_ms: config.cache.staleTtlMs
+            },
+            snapshots: snapshotStore.stats(),
+            markets: marketStore.stats(),
+            price_history: priceHistory.stats(),
+            auth: walletSessions.stats(),
+            alert_rules: alertRules.stats(),
+            coingecko_budget: {
+                used_last_minute: coingeckoBudgetUsed(),
+                per_minute: config.coingecko.callsPerMinute
+            }
+        });
+    });
+
+    // Metrics read from existing state at scrape time
+    metrics.collectedCounter('pump_proxy_cache_requests_total', 'Response cache lookups, by result (hit, stale, miss, coalesced, revalidation, error)', () => [
+        { labels: { result: 'hit' }, value: responseCache.stats.hits },
+        { labels: { result: 'stale' }, value: responseCache.stats.stale },
+        { labels: { result: 'miss' }, value: responseCache.stats.misses },
+        { labels: { result: 'coalesced' }, value: responseCache.stats.coalesced },
+        { labels: { result: 'revalidation' }, value: responseCache.stats.revalidations },
+        { labels: { result: 'error' }, value: responseCache.stats.errors }
+    ]);
+    metrics.gauge('pump_proxy_circuit_state', 'Upstream circuit breaker state (0 closed, 1 half open, 2 open)', () =>
+        Array.from(upstreamBreakers, ([upstream, breaker]) => ({
+            labels: { upstream },
+            value: BREAKER_STATE_VALUES[breaker.describe().state]
+        }))
+    );
+    metrics.gauge('pump_proxy_cache_entries', 'Entries in the response cache', () => [{ value: responseCache.size }]);
+    metrics.gauge('pump_proxy_feed_clients', 'Connected live feed (SSE) clients', () => [{ value: feedClients.size }]);
+    metrics.gauge('pump_proxy_coingecko_budget_used', 'CoinGecko calls made in the last minute', () => [{ value: coingeckoBudgetUsed() }]);
+    metrics.gauge('pump_proxy_markets', 'Prediction markets, by status', () => {
+        const stats = marketStore.stats();
+        return MARKET_STATUSES.map(status => ({ labels: { status }, value: stats[status] }));
+    });
+    metrics.gauge('pump_proxy_bets', 'Bets placed on prediction markets, live or paper', () => {
+        const stats = marketStore.stats();
+        return [{ labels: { mode: 'live' }, value: stats.bets }, { labels: { mode: 'paper' }, value: stats.paper_bets }];
+    });
+    metrics.gauge('pump_proxy_wallet_sessions', 'Signed-in wallet sessions', () => [{ value: walletSessions.stats().sessions }]);
+    metrics.gauge('pump_proxy_token_snapshots', 'Token snapshots held by the history store', () => [{ value: snapshotStore.stats().snapshots }]);
+
+    // Prometheus scrape endpoint (text exposition format)
+    app.get('/metrics', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
+    });
+
+    // Security: Catch-all for undefined routes
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            error: 'Endpoint not found',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Security: Error handling
+    app.use((error, req, res, next) => {
+        // Request bodies that aren't JSON, or are too large (express.json)
+        if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+            return sendError(res, error.status, 'Invalid request body', error.type === 'entity.too.large' ? 'Request body is too large' : 'Request body must be valid JSON');
+        }
+
+        logger.error('Unhandled error', { error: error.message, stack: error.stack });
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // =============================================
+    // LIFECYCLE
+    // =============================================
+
+    let server = null;
+    let compactTimer = null;
+    let resolveTimer = null;
+    let generateTimer = null;
+
+    // Load recorded history before serving so graduation times are available from the first request
+    async function start() {
+        try {
+            await snapshotStore.load();
+            logger.info('Loaded token snapshots', snapshotStore.stats());
+        } catch (error) {
+            logger.error('Failed to load token snapshots', { error: error.message });
+        }
+
+        try {
+            await marketStore.load();
+            logger.info('Loaded markets', marketStore.stats());
+        } catch (error) {
+            logger.error('Failed to load markets', { error: error.message });
+        }
+
+        try {
+            await priceHistory.load();
+            logger.info('Loaded price history', priceHistory.stats());
+        } catch (error) {
+            logger.error('Failed to load price history', { error: error.message });
+        }
+
+        try {
+            await alertRules.load();
+            logger.info('Loaded alert rules', alertRules.stats());
+        } catch (error) {
+            logger.error('Failed to load alert rules', { error: error.message });
+        }
+
+        compactTimer = setInterval(() => {
+            snapshotStore.compact();
+            const pruned = marketStore.pruneUnusedPaperAccounts(config.markets.paperUnusedTtlMs);
+            if (pruned > 0) {
+                logger.info('Pruned unused paper accounts', { accounts: pruned });
+            }
+            marketStore.compact();
+            priceHistory.compact();
+            alertRules.compact();
+        }, SNAPSHOT_COMPACT_INTERVAL);
+        compactTimer.unref();
+
+        if (config.markets.resolveIntervalMs > 0) {
+            resolveTimer = setInterval(runResolution, config.markets.resolveIntervalMs);
+            resolveTimer.unref();
+        }
+        if (config.markets.generateIntervalMs > 0) {
+            runGeneration();
+            generateTimer = setInterval(runGeneration, config.markets.generateIntervalMs);
+            generateTimer.unref();
+        }
+
+        server = await new Promise((resolve, reject) => {
+            const listening = app.listen(config.port, config.host, () => resolve(listening));
+            listening.once('error', reject);
+        });
+
+        const { port } = server.address();
+        const baseUrl = `http://${config.host}:${port}`;
+        logger.info('Pump.fun API proxy running', {
+            url: baseUrl,
+            profile: config.profile,
+            endpoints: {
+                tokens: `${baseUrl}/api/pump/tokens`,
+                live_feed: `${baseUrl}/api/pump/stream`,
+                market_data: `${baseUrl}/api/market/{trending,coins,categories/:category}`,
+                history: `${baseUrl}/api/pump/tokens/:mint/history`,
+                graduations: `${baseUrl}/api/pump/graduations`,
+                markets: `${baseUrl}/api/markets`,
+                health: `${baseUrl}/health`,
+                metrics: `${baseUrl}/metrics`
+            },
+            cors_origins: config.corsOrigins,
+            rate_limit: config.rateLimit.enabled ? `${config.rateLimit.max} per ${config.rateLimit.windowMs / 1000}s` : 'disabled'
+        });
+        return server;
+    }
+
+    async function stop() {
+        clearInterval(compactTimer);
+        compactTimer = null;
+        clearInterval(resolveTimer);
+        resolveTimer = null;
+        clearInterval(generateTimer);
+        generateTimer = null;
+
+        // Live feed responses never end on their own
+        for (const client of feedClients) {
+            client.end();
+        }
+        feedClients.clear();
+        if (feedPollTimer) {
+            stopFeedPolling();
+        }
+
+        if (server) {
+            await new Promise(resolve => server.close(() => resolve()));
+            server = null;
+        }
+        if (resolutionRun) {
+            await resolutionRun;
+        }
+        if (generationRun) {
+            await generationRun;
+        }
+        await snapshotStore.flush();
+        await marketStore.flush();
+        await priceHistory.flush();
+        await alertRules.flush();
+    }
+
+    return { app, config, start, stop };
+}
+
+module.exports = { createProxyApp };
@@ -0,0 +1,120 @@
+/**
+ * Wallet-signed bet orders for POST /api/markets/:id/bets
+ *
+ * The wallet signs a plain-text rendering of the order (orderMessage), so the user sees
+ * exactly what they agree to. The dashboard builds the same text; keep the two in step.
+ */
+
+const { MARKET_OUTCOMES } = require('./market-store');
+
+const ORDER_MESSAGE_TITLE = 'Micro prediction market order';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const SOLANA_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MAX_ORDER_TTL = 10 * 60 * 1000; // Orders can't be signed to last longer than this
+
+function orderError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * The text the wallet signs
+ * @param {Object} order - market_id, side, amount, max_price, nonce, expires_at, wallet
+ */
+function orderMessage(order) {
+    return [
+        ORDER_MESSAGE_TITLE,
+        `Market: ${order.market_id}`,
+        `Side: ${order.side.toUpperCase()}`,
+        `Amount: ${order.amount} SOL`,
+        `Max price: ${order.max_price}`,
+        `Nonce: ${order.nonce}`,
+        `Expires: ${order.expires_at}`,
+        `Wallet: ${order.wallet}`
+    ].join('\n');
+}
+
+// The terms live and paper orders share: which market, which side, how much and at what price
+function readOrderTerms(order, options) {
+    const { market_id: marketId, side, amount, max_price: maxPrice } = order;
+
+    if (marketId !== options.marketId) {
+        throw orderError('INVALID_ORDER', 'order.market_id does not match the market in the URL');
+    }
+    if (!MARKET_OUTCOMES.includes(side)) {
+        throw orderError('INVALID_ORDER', `order.side must be one of: ${MARKET_OUTCOMES.join(', ')}`);
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < options.minStake || amount > options.maxStake) {
+        throw orderError('INVALID_ORDER', `order.amount must be between ${options.minStake} and ${options.maxStake} SOL`);
+    }
+    if (typeof maxPrice !== 'number' || !(maxPrice > 0 && maxPrice < 1)) {
+        throw orderError('INVALID_ORDER', 'order.max_price must be a price between 0 and 1');
+    }
+
+    return { market_id: marketId, side, amount, max_price: maxPrice };
+}
+
+/**
+ * Validate a bet request body: { order: {...}, signature }
+ * @param {Object} body
+ * @param {Object} options
+ * @param {string} options.marketId - market in the URL, which the order must name
+ * @param {number} options.minStake - SOL
+ * @param {number} options.maxStake - SOL
+ * @param {number} [options.now]
+ * @returns {{order: Object, signature: string}}
+ * @throws {Error} with code INVALID_ORDER or ORDER_EXPIRED and a client-facing message
+ */
+function parseBetOrder(body, options) {
+    const now = options.now || Date.now();
+    if (!body || typeof body !== 'object' || !body.order || typeof body.order !== 'object') {
+        throw orderError('INVALID_ORDER', 'Request body must be { order, signature }');
+    }
+    if (typeof body.signature !== 'string' || body.signature.length === 0) {
+        throw orderError('INVALID_ORDER', 'signature is required');
+    }
+
+    const terms = readOrderTerms(body.order, options);
+    const { nonce, expires_at: expiresAt, wallet } = body.order;
+
+    if (typeof nonce !== 'string' || !NONCE_PATTERN.test(nonce)) {
+        throw orderError('INVALID_ORDER', 'order.nonce must be 16-64 letters, digits, _ or -');
+    }
+    if (typeof wallet !== 'string' || !SOLANA_ADDRESS_PATTERN.test(wallet)) {
+        throw orderError('INVALID_ORDER', 'order.wallet must be a Solana address; bets are placed from Phantom or Solflare');
+    }
+
+    const expires = typeof expiresAt === 'string' ? Date.parse(expiresAt) : NaN;
+    if (!Number.isFinite(expires)) {
+        throw orderError('INVALID_ORDER', 'order.expires_at must be an ISO date');
+    }
+    if (expires <= now) {
+        throw orderError('ORDER_EXPIRED', 'This order has expired, please sign a new one');
+    }
+    if (expires > now + MAX_ORDER_TTL) {
+        throw orderError('INVALID_ORDER', `order.expires_at must be within ${MAX_ORDER_TTL / 60000} minutes`);
+    }
+
+    return {
+        order: { ...terms, nonce, expires_at: expiresAt, wallet },
+        signature: body.signature
+    };
+}
+
+/**
+ * Validate a paper bet request body: { order: { market_id, side, amount, max_price } }
+ * Paper orders spend virtual SOL, so there is nothing for a wallet to sign.
+ * @param {Object} body
+ * @param {Object} options - marketId, minStake and maxStake, as for parseBetOrder
+ * @returns {Object} the order
+ * @throws {Error} with code INVALID_ORDER and a client-facing message
+ */
+function parsePaperOrder(body, options) {
+    if (!body || typeof body !== 'object' || !body.order || typeof body.order !== 'object') {
+        throw orderError('INVALID_ORDER', 'Request body must be { order }');
+    }
+    return readOrderTerms(body.order, options);
+}
+
+module.exports = { SOLANA_ADDRESS_PATTERN, orderMessage, parseBetOrder, parsePaperOrder, orderError };
@@ -0,0 +1,134 @@
+/**
+ * Circuit breaker for one upstream endpoint
+ * closed: calls go through, consecutive failures are counted
+ * open: calls fail fast until the cooldown has passed
+ * half_open: a single probe call decides whether to close again or reopen
+ */
+
+const LATENCY_SAMPLES = 100; // Percentiles cover the most recent calls only
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - upstream label used in errors, health and metrics
+     * @param {Object} options
+     * @param {number} options.failureThreshold - consecutive failures that open the circuit
+     * @param {number} options.cooldownMs - time spent open before a probe is allowed
+     * @param {Function} [options.isFailure] - errors it returns false for don't count against the upstream
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold;
+        this.cooldownMs = options.cooldownMs;
+        this.isFailure = options.isFailure || (() => true);
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+        this.lastSuccess = null;
+        this.lastError = null; // { message, at }
+        this.latencies = [];
+    }
+
+    /**
+     * Run an upstream call through the breaker
+     * @param {Function} call - async function performing the request
+     * @throws {Error} with code 'CIRCUIT_OPEN' when the call is short-circuited
+     */
+    async run(call) {
+        if (!this.allowRequest()) {
+            const error = new Error(`Circuit open for ${this.name}`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
+        const probe = this.state === 'half_open';
+        const startedAt = Date.now();
+        try {
+            const result = await call();
+            this.recordSuccess(Date.now() - startedAt);
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure(error, Date.now() - startedAt);
+            }
+            throw error;
+        } finally {
+            if (probe) this.probeInFlight = false;
+        }
+    }
+
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'closed') return true;
+        if (this.state === 'half_open' && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(latencyMs) {
+        this.addLatency(latencyMs);
+        this.lastSuccess = new Date().toISOString();
+        this.consecutiveFailures = 0;
+        this.state = 'closed';
+        this.openedAt = null;
+    }
+
+    recordFailure(error, latencyMs) {
+        this.addLatency(latencyMs);
+        this.lastError = { message: error.message, at: new Date().toISOString() };
+        this.consecutiveFailures++;
+
+        // A failed probe reopens straight away; otherwise wait for the threshold
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    addLatency(latencyMs) {
+        this.latencies.push(latencyMs);
+        if (this.latencies.length > LATENCY_SAMPLES) {
+            this.latencies.shift();
+        }
+    }
+
+    /**
+     * Nearest-rank percentile of the recent call latencies, in ms
+     */
+    percentile(p) {
+        if (this.latencies.length === 0) return null;
+
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.max(0, rank - 1)];
+    }
+
+    /**
+     * Current state for /health, reporting a lapsed cooldown as half_open
+     */
+    describe() {
+        const cooledDown = this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs;
+
+        return {
+            state: cooledDown ? 'half_open' : this.state,
+            consecutive_failures: this.consecutiveFailures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            last_success: this.lastSuccess,
+            last_error: this.lastError,
+            latency_ms: {
+                samples: this.latencies.length,
+                p50: this.percentile(50),
+                p90: this.percentile(90),
+                p99: this.percentile(99)
+            }
+        };
+    }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,492 @@
+/**
+ * Proxy configuration: profiles, JSON file and environment overrides, schema validation
+ *
+ * Precedence (lowest first): profile defaults, JSON config file, environment variables.
+ * The profile comes from --profile, PROXY_PROFILE or the file's "profile" key (default "secure").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+const LOCAL_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:3001',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:3001',
+    'file://' // For local HTML files
+];
+
+// Solana (base58) or Ethereum (0x) address
+const WALLET_ADDRESS_PATTERN = /^(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})$/;
+
+const BASE_CONFIG = {
+    profile: 'secure',
+    port: 3001,
+    host: '127.0.0.1',
+    corsOrigins: LOCAL_ORIGINS,
+    rateLimit: {
+        enabled: true,
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100 // limit each IP to 100 requests per windowMs
+    },
+    upstream: {
+        // Security: Whitelist of allowed endpoints
+        endpoints: [
+            'https://frontend-api.pump.fun/coins/trending',
+            'https://frontend-api.pump.fun/coins'
+        ],
+        timeoutMs: 10000,
+        failureThreshold: 3, // Consecutive failures before a circuit opens
+        cooldownMs: 30 * 1000, // Wait before probing an open upstream
+        recordDir: null // Save every upstream response as a replayable fixture (see server/fixture-upstream.js)
+    },
+    cache: {
+        ttlMs: 30 * 1000,
+        staleTtlMs: 5 * 60 * 1000
+    },
+    feed: {
+        pollIntervalMs: 15000, // Between upstream polls while clients are connected
+        heartbeatIntervalMs: 25000 // Keep idle connections open through proxies
+    },
+    snapshots: {
+        file: 'data/token-snapshots.jsonl', // null keeps history in memory only
+        retentionHours: 72,
+        intervalMs: 60 * 1000
+    },
+    coingecko: {
+        baseUrl: 'https://api.coingecko.com/api/v3',
+        callsPerMinute: 25 // CoinGecko's free tier allows ~30 calls/minute
+    },
+    markets: {
+        file: 'data/markets.jsonl', // null keeps markets in memory only
+        maxDurationDays: 90, // Latest expiry accepted for a new market
+        liquidity: 100, // LMSR liquidity in SOL: higher moves prices less per trade, market maker risks up to liquidity * ln 2
+        minStake: 0.01, // SOL per bet
+        maxStake: 100,
+        paperBalance: 100, // Virtual SOL each paper-trading account starts with
+        paperAccountsPerHour: 5, // Paper accounts one IP may open per hour
+        paperUnusedTtlMs: 24 * 60 * 60 * 1000, // Paper accounts that never bet are dropped after this
+        historyFile: 'data/price-history.jsonl', // Price samples markets settle on; null keeps them in memory only
+        resolveIntervalMs: 60 * 1000, // Between resolution engine runs; 0 turns automatic settlement off
+        settlementToleranceMs: 15 * 60 * 1000, // How far from expiry a price sample may be before the market is voided
+        generateIntervalMs: 15 * 60 * 1000, // Between market generator runs; 0 leaves opening markets to POST /api/markets
+        generateCount: 10, // Screened tokens the generator keeps a market open on
+        screening: { // Which tokens the generator opens markets on; the dashboard's screen starts from the same values
+            minChangePct: 1, // under 1% in 24h is a stable price
+            minMarketCap: 1000000, // under $1M is often a scam token
+            minVolume: 100000, // under $100K is not liquid enough
+            stablecoinKeywords: [ // symbol or name containing any of these
+                'usdt', 'usdc', 'busd', 'dai', 'tusd', 'pax', 'gusd', 'usdp', 'frax', 'lusd',
+                'usdd', 'fei', 'mim', 'ust', 'ustc', 'usdn', 'usdx', 'susd', 'dusd', 'musd',
+                'usdk', 'usds', 'eurs', 'eurt', 'cadc', 'xsgd', 'zusd', 'cusd', 'rusd',
+                'stable', 'dollar', 'usd'
+            ]
+        },
+        adminToken: null, // Bearer token for admin actions (scripts); null turns it off
+        adminWallets: [] // Signed-in wallet addresses allowed into the admin console
+    },
+    auth: {
+        challengeTtlMs: 5 * 60 * 1000, // How long a wallet has to sign a sign-in challenge
+        sessionTtlMs: 60 * 60 * 1000, // How long a signed-in session lasts
+        maxChallenges: 10000 // Unsigned challenges held at once
+    },
+    alerts: {
+        file: 'data/alert-rules.jsonl', // Signed-in wallets' alert rules; null keeps them in memory only
+        maxRules: 50 // Rules one wallet may keep
+    }
+};
+
+// Profiles only list what differs from BASE_CONFIG
+const PROFILES = {
+    // Localhost origins only, per-IP rate limit
+    secure: {},
+    // Any origin, no rate limit: for trying the dashboard from other local tools
+    permissive: {
+        corsOrigins: ['*'],
+        rateLimit: { enabled: false }
+    }
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        profile: { type: 'enum', values: Object.keys(PROFILES) },
+        port: { type: 'integer', min: 0, max: 65535 }, // 0 picks a free port
+        host: { type: 'string' },
+        corsOrigins: { type: 'array', items: { type: 'string' } },
+        rateLimit: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                windowMs: { type: 'integer', min: 1000 },
+                max: { type: 'integer', min: 1 }
+            }
+        },
+        upstream: {
+            type: 'object',
+            properties: {
+                endpoints: { type: 'array', items: { type: 'url' }, minItems: 1 },
+                timeoutMs: { type: 'integer', min: 100, max: 60000 },
+                failureThreshold: { type: 'integer', min: 1 },
+                cooldownMs: { type: 'integer', min: 100 },
+                recordDir: { type: 'string', nullable: true }
+            }
+        },
+        cache: {
+            type: 'object',
+            properties: {
+                ttlMs: { type: 'integer', min: 0 },
+                staleTtlMs: { type: 'integer', min: 0 }
+            }
+        },
+        feed: {
+            type: 'object',
+            properties: {
+                pollIntervalMs: { type: 'integer', min: 1000 },
+                heartbeatIntervalMs: { type: 'integer', min: 1000 }
+            }
+        },
+        snapshots: {
+            type: 'object',
+            properties: {
+                file: { type: 'string', nullable: true },
+                retentionHours: { type: 'number', min: 1 },
+                intervalMs: { type: 'integer', min: 0 }
+            }
+        },
+        coingecko: {
+            type: 'object',
+            properties: {
+                baseUrl: { type: 'url' },
+                callsPerMinute: { type: 'integer', min: 1 }
+            }
+        },
+        markets: {
+            type: 'object',
+            properties: {
+                file: { type: 'string', nullable: true },
+                maxDurationDays: { type: 'number', min: 1, max: 365 },
+                liquidity: { type: 'number', min: 1 },
+                minStake: { type: 'number', min: 0.000001 },
+                maxStake: { type: 'number', min: 0.000001 },
+                paperBalance: { type: 'number', min: 0.000001 },
+                paperAccountsPerHour: { type: 'integer', min: 1 },
+                paperUnusedTtlMs: { type: 'integer', min: 60 * 1000 },
+                historyFile: { type: 'string', nullable: true },
+                resolveIntervalMs: { type: 'integer', min: 0 },
+                settlementToleranceMs: { type: 'integer', min: 60 * 1000 },
+                generateIntervalMs: { type: 'integer', min: 0 },
+                generateCount: { type: 'integer', min: 1, max: 50 },
+                screening: {
+                    type: 'object',
+                    properties: {
+                        minChangePct: { type: 'number', min: 0 },
+                        minMarketCap: { type: 'number', min: 0 },
+                        minVolume: { type: 'number', min: 0 },
+                        stablecoinKeywords: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                adminToken: { type: 'string', nullable: true },
+                adminWallets: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        auth: {
+            type: 'object',
+            properties: {
+                challengeTtlMs: { type: 'integer', min: 10 * 1000, max: 60 * 60 * 1000 },
+                sessionTtlMs: { type: 'integer', min: 60 * 1000, max: 7 * 24 * 60 * 60 * 1000 },
+                maxChallenges: { type: 'integer', min: 1 }
+            }
+        },
+        alerts: {
+            type: 'object',
+            properties: {
+                file: { type: 'string', nullable: true },
+                maxRules: { type: 'integer', min: 1, max: 1000 }
+            }
+        }
+    }
+};
+
+// Environment variable -> config path
+const ENV_VARS = {
+    PROXY_PORT: 'port',
+    PROXY_HOST: 'host',
+    PROXY_CORS_ORIGINS: 'corsOrigins',
+    PROXY_RATE_LIMIT: 'rateLimit.enabled',
+    PROXY_RATE_LIMIT_WINDOW_MS: 'rateLimit.windowMs',
+    PROXY_RATE_LIMIT_MAX: 'rateLimit.max',
+    PUMP_UPSTREAM_ENDPOINTS: 'upstream.endpoints',
+    UPSTREAM_TIMEOUT_MS: 'upstream.timeoutMs',
+    UPSTREAM_FAILURE_THRESHOLD: 'upstream.failureThreshold',
+    UPSTREAM_COOLDOWN_MS: 'upstream.cooldownMs',
+    UPSTREAM_RECORD_DIR: 'upstream.recordDir',
+    PUMP_CACHE_TTL_MS: 'cache.ttlMs',
+    PUMP_CACHE_STALE_MS: 'cache.staleTtlMs',
+    PUMP_SNAPSHOT_FILE: 'snapshots.file',
+    PUMP_SNAPSHOT_RETENTION_HOURS: 'snapshots.retentionHours',
+    PUMP_SNAPSHOT_INTERVAL_MS: 'snapshots.intervalMs',
+    COINGECKO_API_URL: 'coingecko.baseUrl',
+    COINGECKO_CALLS_PER_MINUTE: 'coingecko.callsPerMinute',
+    MARKETS_FILE: 'markets.file',
+    MARKETS_MAX_DURATION_DAYS: 'markets.maxDurationDays',
+    MARKETS_LIQUIDITY: 'markets.liquidity',
+    MARKETS_MIN_STAKE: 'markets.minStake',
+    MARKETS_MAX_STAKE: 'markets.maxStake',
+    MARKETS_PAPER_BALANCE: 'markets.paperBalance',
+    MARKETS_PAPER_ACCOUNTS_PER_HOUR: 'markets.paperAccountsPerHour',
+    MARKETS_PAPER_UNUSED_TTL_MS: 'markets.paperUnusedTtlMs',
+    MARKETS_HISTORY_FILE: 'markets.historyFile',
+    MARKETS_RESOLVE_INTERVAL_MS: 'markets.resolveIntervalMs',
+    MARKETS_SETTLEMENT_TOLERANCE_MS: 'markets.settlementToleranceMs',
+    MARKETS_GENERATE_INTERVAL_MS: 'markets.generateIntervalMs',
+    MARKETS_GENERATE_COUNT: 'markets.generateCount',
+    MARKETS_SCREEN_MIN_CHANGE_PCT: 'markets.screening.minChangePct',
+    MARKETS_SCREEN_MIN_MARKET_CAP: 'markets.screening.minMarketCap',
+    MARKETS_SCREEN_MIN_VOLUME: 'markets.screening.minVolume',
+    MARKETS_SCREEN_STABLECOIN_KEYWORDS: 'markets.screening.stablecoinKeywords',
+    MARKETS_ADMIN_TOKEN: 'markets.adminToken',
+    MARKETS_ADMIN_WALLETS: 'markets.adminWallets',
+    AUTH_CHALLENGE_TTL_MS: 'auth.challengeTtlMs',
+    AUTH_SESSION_TTL_MS: 'auth.sessionTtlMs',
+    ALERTS_FILE: 'alerts.file',
+    ALERTS_MAX_RULES: 'alerts.maxRules'
+};
+
+function configError(message, problems = []) {
+    const error = new Error(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars replace
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    Object.keys(override || {}).forEach(key => {
+        merged[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+            ? mergeConfig(base[key], override[key])
+            : override[key];
+    });
+    return merged;
+}
+
+function schemaAt(configPath) {
+    return configPath.split('.').reduce((schema, key) => schema && schema.properties[key], CONFIG_SCHEMA);
+}
+
+function setAt(target, configPath, value) {
+    const keys = configPath.split('.');
+    const last = keys.pop();
+    let node = target;
+    keys.forEach(key => {
+        node[key] = node[key] || {};
+        node = node[key];
+    });
+    node[last] = value;
+}
+
+// Environment values are strings; convert them to the type the schema expects (validation reports leftovers)
+function coerceEnvValue(raw, schema) {
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+        case 'boolean':
+            return raw === 'true' ? true : raw === 'false' ? false : raw;
+        case 'array':
+            return raw.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return schema.nullable && raw === '' ? null : raw;
+    }
+}
+
+function readEnvOverrides(env) {
+    const overrides = {};
+    Object.keys(ENV_VARS).forEach(name => {
+        if (env[name] === undefined) return;
+        setAt(overrides, ENV_VARS[name], coerceEnvValue(env[name], schemaAt(ENV_VARS[name])));
+    });
+    return overrides;
+}
+
+function describeType(schema) {
+    if (schema.type === 'enum') return `one of: ${schema.values.join(', ')}`;
+    if (schema.type === 'url') return 'an http(s) URL';
+    return `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+}
+
+function checkValue(value, schema, configPath, problems) {
+    if (value === null && schema.nullable) return;
+
+    switch (schema.type) {
+        case 'object': {
+            if (!isPlainObject(value)) {
+                problems.push(`${configPath || 'config'} must be an object`);
+                return;
+            }
+            Object.keys(value).forEach(key => {
+                if (!schema.properties[key]) {
+                    problems.push(`${configPath ? `${configPath}.` : ''}${key} is not a known setting`);
+                }
+            });
+            Object.keys(schema.properties).forEach(key => {
+                checkValue(value[key], schema.properties[key], configPath ? `${configPath}.${key}` : key, problems);
+            });
+            return;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${configPath} must be an array`);
+                return;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                problems.push(`${configPath} needs at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, index) => checkValue(item, schema.items, `${configPath}[${index}]`, problems));
+            return;
+        case 'enum':
+            if (!schema.values.includes(value)) problems.push(`${configPath} must be ${describeType(schema)}`);
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') problems.push(`${configPath} must be ${describeType(schema)}`);
+            return;
+        case 'string':
+            if (typeof value !== 'string' || value === '') problems.push(`${configPath} must be a non-empty string`);
+            return;
+        case 'url':
+            if (!isAllowedUrl(value)) {
+                problems.push(`${configPath} must be an https URL (http is only allowed for localhost)`);
+            }
+            return;
+        case 'integer':
+        case 'number': {
+            const validNumber = typeof value === 'number' && Number.isFinite(value) &&
+                (schema.type === 'number' || Number.isInteger(value));
+            if (!validNumber) {
+                problems.push(`${configPath} must be ${describeType(schema)}`);
+            } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                problems.push(`${configPath} must be between ${schema.min !== undefined ? schema.min : '-∞'} and ${schema.max !== undefined ? schema.max : '∞'}`);
+            }
+            return;
+        }
+    }
+}
+
+// Security: plain http is only acceptable for upstreams on this machine (local stand-ins, tests)
+function isAllowedUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol === 'https:') return true;
+    return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+/**
+ * Validate a complete config object against CONFIG_SCHEMA
+ * @throws {Error} with code INVALID_CONFIG listing every problem
+ */
+function validateConfig(config) {
+    const problems = [];
+    checkValue(config, CONFIG_SCHEMA, '', problems);
+
+    if (problems.length === 0 && config.cache.staleTtlMs < config.cache.ttlMs) {
+        problems.push('cache.staleTtlMs cannot be shorter than cache.ttlMs');
+    }
+    if (problems.length === 0 && config.markets.maxStake < config.markets.minStake) {
+        problems.push('markets.maxStake cannot be lower than markets.minStake');
+    }
+    if (problems.length === 0 && config.markets.adminToken !== null && config.markets.adminToken.length < 16) {
+        problems.push('markets.adminToken must be at least 16 characters');
+    }
+    if (problems.length === 0) {
+        config.markets.adminWallets
+            .filter(address => !WALLET_ADDRESS_PATTERN.test(address))
+            .forEach(address => problems.push(`markets.adminWallets: "${address}" is not a Solana or Ethereum address`));
+    }
+    if (problems.length > 0) {
+        throw configError('Invalid proxy configuration', problems);
+    }
+    return config;
+}
+
+/**
+ * Fill a partial config from its profile and validate it
+ * @param {Object} [overrides] - any subset of the settings; `profile` picks the defaults
+ * @returns {Object} complete, validated config (snapshot file resolved against the repository root)
+ */
+function resolveConfig(overrides = {}) {
+    const profile = overrides.profile || BASE_CONFIG.profile;
+    if (!PROFILES[profile]) {
+        throw configError('Invalid proxy configuration', [`profile must be one of: ${Object.keys(PROFILES).join(', ')}`]);
+    }
+
+    const config = validateConfig(mergeConfig(mergeConfig(BASE_CONFIG, PROFILES[profile]), { ...overrides, profile }));
+
+    if (config.snapshots.file) {
+        config.snapshots = { ...config.snapshots, file: path.resolve(REPO_ROOT, config.snapshots.file) };
+    }
+    if (config.markets.file) {
+        config.markets = { ...config.markets, file: path.resolve(REPO_ROOT, config.markets.file) };
+    }
+    if (config.markets.historyFile) {
+        config.markets = { ...config.markets, historyFile: path.resolve(REPO_ROOT, config.markets.historyFile) };
+    }
+    if (config.alerts.file) {
+        config.alerts = { ...config.alerts, file: path.resolve(REPO_ROOT, config.alerts.file) };
+    }
+    if (config.upstream.recordDir) {
+        config.upstream = { ...config.upstream, recordDir: path.resolve(REPO_ROOT, config.upstream.recordDir) };
+    }
+    return config;
+}
+
+function readArg(argv, name) {
+    const prefix = `--${name}=`;
+    const inline = argv.find(arg => arg.startsWith(prefix));
+    if (inline) return inline.slice(prefix.length);
+
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+}
+
+/**
+ * Build the startup config from the command line, a JSON file and the environment
+ * @param {Object} [sources]
+ * @param {Object} [sources.env] - defaults to process.env
+ * @param {Array<string>} [sources.argv] - defaults to process.argv; reads --profile, --config and --record
+ */
+function loadConfig({ env = process.env, argv = process.argv.slice(2) } = {}) {
+    let fileConfig = {};
+    const configFile = readArg(argv, 'config') || env.PROXY_CONFIG_FILE;
+
+    if (configFile) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(path.resolve(configFile), 'utf8'));
+        } catch (error) {
+            throw configError(`Cannot read proxy config file ${configFile}: ${error.message}`);
+        }
+        if (!isPlainObject(fileConfig)) {
+            throw configError(`Proxy config file ${configFile} must contain a JSON object`);
+        }
+    }
+
+    const profile = readArg(argv, 'profile') || env.PROXY_PROFILE || fileConfig.profile;
+    const recordDir = readArg(argv, 'record');
+    const cliOverrides = {
+        ...(profile ? { profile } : {}),
+        ...(recordDir ? { upstream: { recordDir } } : {})
+    };
+    return resolveConfig(mergeConfig(mergeConfig(fileConfig, readEnvOverrides(env)), cliOverrides));
+}
+
+module.exports = { PROFILES, CONFIG_SCHEMA, ENV_VARS, loadConfig, resolveConfig, validateConfig };
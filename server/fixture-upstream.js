@@ -0,0 +1,184 @@
+/**
+ * Local stand-in for frontend-api.pump.fun and api.coingecko.com, serving recorded fixtures
+ * with configurable latency and failure injection
+ *
+ * Usage:
+ *   node server/fixture-upstream.js [--port 4010] [--scenario bare-array]
+ *     [--latency 200] [--jitter 100]
+ *     [--failure-rate 0.3] [--failure-mode error|timeout|malformed|invalid-json|reset]
+ *     [--fail-path /coins/trending]
+ *
+ * Then start the proxy against it: npm run proxy:offline
+ */
+
+const http = require('http');
+const path = require('path');
+const { loadFixtures, findFixture, sortedQuery } = require('./upstream-fixtures');
+const { logger } = require('./logger');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+const FAILURE_MODES = ['error', 'timeout', 'malformed', 'invalid-json', 'reset'];
+
+const DEFAULT_OPTIONS = {
+    dir: FIXTURES_DIR,
+    scenario: 'default',
+    latencyMs: 0,
+    jitterMs: 0,
+    failureRate: 0, // 0..1, share of requests that fail
+    failureMode: 'error',
+    failPaths: [] // Only inject failures on these paths (all paths when empty)
+};
+
+function validateOptions(options) {
+    if (!FAILURE_MODES.includes(options.failureMode)) {
+        throw new Error(`failureMode must be one of: ${FAILURE_MODES.join(', ')}`);
+    }
+    if (!(options.failureRate >= 0 && options.failureRate <= 1)) {
+        throw new Error('failureRate must be between 0 and 1');
+    }
+    if (!(options.latencyMs >= 0) || !(options.jitterMs >= 0)) {
+        throw new Error('latencyMs and jitterMs must be zero or more');
+    }
+}
+
+/**
+ * @param {Object} [options] - see DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, configure: Function, requests: Array}}
+ *   start(port, host) resolves with the base URL; configure() changes latency/failure options
+ *   (or the scenario) while running; requests lists every request served, newest last
+ */
+function createFixtureUpstream(options = {}) {
+    let settings = { ...DEFAULT_OPTIONS, ...options };
+    validateOptions(settings);
+    let fixtures = loadFixtures(settings.dir, settings.scenario);
+
+    const requests = [];
+    const openSockets = new Set();
+    const heldResponses = new Set(); // 'timeout' failures, released on stop()
+
+    function shouldFail(pathname) {
+        const targeted = settings.failPaths.length === 0 || settings.failPaths.includes(pathname);
+        return targeted && Math.random() < settings.failureRate;
+    }
+
+    function sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    function injectFailure(req, res) {
+        switch (settings.failureMode) {
+            case 'timeout':
+                // Never answer; the proxy's AbortController has to give up
+                heldResponses.add(res);
+                res.on('close', () => heldResponses.delete(res));
+                return;
+            case 'malformed':
+                // Valid JSON in none of the shapes the proxy accepts
+                return sendJson(res, 200, { coins: 'unavailable' });
+            case 'invalid-json':
+                return sendJson(res, 200, '{"coins": [');
+            case 'reset':
+                return req.socket.destroy();
+            default:
+                return sendJson(res, 500, { error: 'Injected failure' });
+        }
+    }
+
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://fixture-upstream');
+        const query = sortedQuery(url.searchParams);
+        const failing = shouldFail(url.pathname);
+        requests.push({ method: req.method, path: url.pathname, query, failed: failing ? settings.failureMode : null });
+
+        const respond = () => {
+            if (failing) {
+                logger.debug('Injecting upstream failure', { path: url.pathname, mode: settings.failureMode });
+                return injectFailure(req, res);
+            }
+
+            const fixture = findFixture(fixtures, req.method, url.pathname, query);
+            if (!fixture) {
+                return sendJson(res, 404, { error: `No fixture for ${req.method} ${url.pathname}` });
+            }
+            sendJson(res, fixture.status, fixture.body);
+        };
+
+        const delay = settings.latencyMs + Math.random() * settings.jitterMs;
+        if (delay > 0) {
+            setTimeout(respond, delay);
+        } else {
+            respond();
+        }
+    }
+
+    const server = http.createServer(handle);
+    server.on('connection', socket => {
+        openSockets.add(socket);
+        socket.on('close', () => openSockets.delete(socket));
+    });
+
+    function start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                resolve(`http://${host}:${server.address().port}`);
+            });
+        });
+    }
+
+    function stop() {
+        heldResponses.forEach(res => res.destroy());
+        openSockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    function configure(changes) {
+        const next = { ...settings, ...changes };
+        validateOptions(next);
+        if (next.scenario !== settings.scenario || next.dir !== settings.dir) {
+            fixtures = loadFixtures(next.dir, next.scenario);
+        }
+        settings = next;
+    }
+
+    return { start, stop, configure, requests };
+}
+
+function readArg(argv, name, fallback) {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 && argv[index + 1] !== undefined ? argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const port = Number(readArg(argv, 'port', 4010));
+
+    let upstream;
+    try {
+        upstream = createFixtureUpstream({
+            scenario: readArg(argv, 'scenario', 'default'),
+            latencyMs: Number(readArg(argv, 'latency', 0)),
+            jitterMs: Number(readArg(argv, 'jitter', 0)),
+            failureRate: Number(readArg(argv, 'failure-rate', 0)),
+            failureMode: readArg(argv, 'failure-mode', 'error'),
+            failPaths: argv.filter((arg, index) => argv[index - 1] === '--fail-path')
+        });
+    } catch (error) {
+        logger.error('Invalid fixture upstream options', { error: error.message });
+        process.exit(1);
+    }
+
+    upstream.start(port).then(url => {
+        logger.info('Fixture upstream running', {
+            url,
+            pump_endpoints: [`${url}/coins/trending`, `${url}/coins`],
+            coingecko_base_url: `${url}/api/v3`
+        });
+    });
+
+    process.on('SIGINT', () => upstream.stop().then(() => process.exit(0)));
+    process.on('SIGTERM', () => upstream.stop().then(() => process.exit(0)));
+}
+
+module.exports = { createFixtureUpstream, FAILURE_MODES };
@@ -0,0 +1,35 @@
+/**
+ * Start the Pump.fun proxy from the command line
+ *
+ * Usage:
+ *   node server/index.js                        (secure profile, port 3001)
+ *   node server/index.js --profile permissive   (any origin, no rate limit)
+ *   node server/index.js --config proxy.json    (JSON settings, see PUMP_API_README.md)
+ */
+
+const { loadConfig } = require('./config');
+const { createProxyApp } = require('./app');
+const { logger } = require('./logger');
+
+let proxy;
+try {
+    proxy = createProxyApp(loadConfig());
+} catch (error) {
+    if (error.code !== 'INVALID_CONFIG') throw error;
+    logger.error(error.problems.length > 0 ? 'Invalid proxy configuration' : error.message, { problems: error.problems });
+    process.exit(1);
+}
+
+// Graceful shutdown
+function shutdown(signal) {
+    logger.info(`Received ${signal}, shutting down gracefully`);
+    proxy.stop().then(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+proxy.start().catch(error => {
+    logger.error('Failed to start proxy', { error: error.message });
+    process.exit(1);
+});
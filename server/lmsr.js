@@ -0,0 +1,80 @@
+/**
+ * Logarithmic market scoring rule (LMSR) market maker for YES/NO markets
+ *
+ * Each winning share pays 1 SOL, so prices are SOL per share (0-1) and sum to 1.
+ * The liquidity parameter b (SOL) sets how far a trade moves the price; the market
+ * maker can lose at most b * ln 2 per market.
+ */
+
+const OUTCOMES = ['yes', 'no'];
+
+function otherOutcome(side) {
+    return side === 'yes' ? 'no' : 'yes';
+}
+
+/**
+ * Cost function C(q) = b * ln(e^(q_yes/b) + e^(q_no/b)), computed without overflowing for large q
+ * @param {{yes: number, no: number}} shares - outstanding shares per outcome
+ * @param {number} b - liquidity
+ */
+function lmsrCost(shares, b) {
+    const high = Math.max(shares.yes, shares.no);
+    return high + b * Math.log(Math.exp((shares.yes - high) / b) + Math.exp((shares.no - high) / b));
+}
+
+/**
+ * Instantaneous prices: p_yes = e^(q_yes/b) / (e^(q_yes/b) + e^(q_no/b))
+ * @returns {{yes: number, no: number}}
+ */
+function lmsrPrices(shares, b) {
+    // Each side computed directly: 1 - p loses precision when one price is tiny
+    return {
+        yes: 1 / (1 + Math.exp((shares.no - shares.yes) / b)),
+        no: 1 / (1 + Math.exp((shares.yes - shares.no) / b))
+    };
+}
+
+/**
+ * Quote spending an amount of SOL on one outcome
+ * Solves C(q') - C(q) = amount for the shares bought
+ * @param {{yes: number, no: number}} shares
+ * @param {number} b
+ * @param {string} side - 'yes' or 'no'
+ * @param {number} amount - SOL to spend, > 0
+ * @returns {{side: string, amount: number, shares: number, average_price: number, price_before: number,
+ *   price_after: number, slippage: number, payout: number, shares_after: Object}}
+ *   slippage is how much worse the average price is than the price before the trade (0.02 = 2%);
+ *   payout is what the shares pay if the side wins
+ */
+function quoteBuy(shares, b, side, amount) {
+    if (!OUTCOMES.includes(side)) {
+        throw new Error(`side must be one of: ${OUTCOMES.join(', ')}`);
+    }
+    if (!(amount > 0)) {
+        throw new Error('amount must be greater than 0');
+    }
+
+    const other = otherOutcome(side);
+    const target = lmsrCost(shares, b) + amount;
+    // e^(q'_side/b) = e^(target/b) - e^(q_other/b); target > q_other, so the log argument stays in (0, 1]
+    const sideAfter = target + b * Math.log(1 - Math.exp((shares[other] - target) / b));
+    const bought = sideAfter - shares[side];
+
+    const sharesAfter = { ...shares, [side]: sideAfter };
+    const priceBefore = lmsrPrices(shares, b)[side];
+    const averagePrice = amount / bought;
+
+    return {
+        side,
+        amount,
+        shares: bought,
+        average_price: averagePrice,
+        price_before: priceBefore,
+        price_after: lmsrPrices(sharesAfter, b)[side],
+        slippage: averagePrice / priceBefore - 1,
+        payout: bought,
+        shares_after: sharesAfter
+    };
+}
+
+module.exports = { OUTCOMES, lmsrCost, lmsrPrices, quoteBuy };
@@ -0,0 +1,53 @@
+/**
+ * Structured JSON logger for the Pump.fun proxy
+ * One JSON object per line; lines written while handling a request carry its request_id
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+// Incoming X-Request-Id values are reused only if they look like an ID (no log injection)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function write(level, message, fields) {
+    if (LOG_LEVELS[level] < MIN_LEVEL) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context ? { request_id: context.requestId } : {}),
+        ...fields
+    };
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+    debug: (message, fields = {}) => write('debug', message, fields),
+    info: (message, fields = {}) => write('info', message, fields),
+    warn: (message, fields = {}) => write('warn', message, fields),
+    error: (message, fields = {}) => write('error', message, fields)
+};
+
+/**
+ * Express middleware: assign a request ID, echo it in X-Request-Id and
+ * make it available to every log line written while the request is handled
+ */
+function requestIdMiddleware(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    requestContext.run({ requestId }, next);
+}
+
+module.exports = { logger, requestIdMiddleware };
@@ -0,0 +1,90 @@
+/**
+ * Market generator
+ * Screens candidate tokens from market data and opens an 'auto' template market on each one
+ * that has no open market, so dashboards only ever list markets.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * The coins worth a market: volatile, liquid, not stablecoins, most traded first
+ * @param {Array} coins - sanitized CoinGecko market coins
+ * @param {number} count - most coins to return
+ * @param {{minChangePct: number, minMarketCap: number, minVolume: number, stablecoinKeywords: string[]}} screening - markets.screening
+ * @returns {Array}
+ */
+function screenCoins(coins, count, screening) {
+    const keywords = screening.stablecoinKeywords.map(keyword => keyword.toLowerCase());
+    const seen = new Set();
+    return coins
+        .filter(coin => {
+            if (!coin.id || !coin.symbol || seen.has(coin.id)) return false;
+            seen.add(coin.id);
+
+            const symbol = coin.symbol.toLowerCase();
+            const name = String(coin.name || '').toLowerCase();
+            return !keywords.some(keyword => symbol.includes(keyword) || name.includes(keyword)) &&
+                Math.abs(coin.price_change_percentage_24h || 0) >= screening.minChangePct &&
+                (coin.market_cap || 0) >= screening.minMarketCap &&
+                (coin.total_volume || 0) >= screening.minVolume;
+        })
+        .sort((a, b) => b.total_volume - a.total_volume)
+        .slice(0, count);
+}
+
+class MarketGenerator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.marketStore - MarketStore
+     * @param {function(): Promise<{coins: Array, recordedAt: number}>} options.loadCandidates - sanitized CoinGecko market coins
+     *   to screen, and when their data was fetched (ms)
+     * @param {function(Object, number): Promise<Object|null>} options.openMarket - open an 'auto' market on a coin; null when it can't be had
+     * @param {number} options.count - most coins kept after screening
+     * @param {Object} options.screening - thresholds and stablecoin keywords (markets.screening)
+     */
+    constructor(options) {
+        this.marketStore = options.marketStore;
+        this.loadCandidates = options.loadCandidates;
+        this.openMarket = options.openMarket;
+        this.count = options.count;
+        this.screening = options.screening;
+    }
+
+    /**
+     * Open a market on every screened coin that has none open
+     * @returns {Promise<{created: Array, skipped: Array, failed: Array}>} market ids created, coin ids skipped or failed
+     */
+    async run(now = Date.now()) {
+        this.marketStore.lockExpired(now);
+        const result = { created: [], skipped: [], failed: [] };
+
+        const { coins, recordedAt } = await this.loadCandidates();
+        for (const coin of screenCoins(coins, this.count, this.screening)) {
+            if (this.marketStore.list({ status: 'open', token: coin.id }).length > 0) {
+                result.skipped.push(coin.id);
+                continue;
+            }
+
+            try {
+                const market = await this.openMarket(coin, recordedAt);
+                if (market) {
+                    result.created.push(market.id);
+                } else {
+                    result.skipped.push(coin.id);
+                }
+            } catch (error) {
+                // Whatever is left waits for the next run
+                if (error.code === 'BUDGET_EXHAUSTED') break;
+                logger.warn('Failed to open market', { token: coin.id, error: error.message });
+                result.failed.push(coin.id);
+            }
+        }
+
+        if (result.created.length > 0) {
+            logger.info('Opened markets', { created: result.created });
+        }
+        return result;
+    }
+}
+
+module.exports = { MarketGenerator, screenCoins };
@@ -0,0 +1,174 @@
+/**
+ * Market resolution engine
+ * Checks each expired market's rule (metric, comparator, threshold) against the token's recorded
+ * price history at the market's expiry, then settles it and pays its bets through the MarketStore.
+ */
+
+const { logger } = require('./logger');
+
+const COMPARATORS = {
+    gt: (value, threshold) => value > threshold,
+    gte: (value, threshold) => value >= threshold,
+    lt: (value, threshold) => value < threshold,
+    lte: (value, threshold) => value <= threshold
+};
+
+function percentChange(value, base) {
+    return base > 0 ? (value / base - 1) * 100 : null;
+}
+
+// Change metrics are measured from the baseline stored when the market opened
+const METRICS = {
+    price: observation => observation.price,
+    market_cap: observation => observation.market_cap,
+    volume_24h: observation => observation.volume_24h,
+    price_change_pct: (observation, baseline) => percentChange(observation.price, baseline.price),
+    volume_change_pct: (observation, baseline) => percentChange(observation.volume_24h, baseline.volume_24h),
+    // Percentage points ahead of the reference asset
+    relative_price_change_pct: (observation, baseline) => {
+        if (!observation.reference || !baseline.reference) return null;
+        const own = percentChange(observation.price, baseline.price);
+        const reference = percentChange(observation.reference.price, baseline.reference.price);
+        return own === null || reference === null ? null : own - reference;
+    }
+};
+
+/**
+ * The value of a market's metric for an observation
+ * @param {Object} resolution - { metric, baseline }
+ * @param {{price: number, market_cap: number, volume_24h: number, reference: Object}} observation
+ *   reference is the reference asset's sample, for relative metrics
+ * @returns {number|null} null when the data can't give an answer
+ */
+function metricValue(resolution, observation) {
+    const measure = METRICS[resolution.metric];
+    const value = measure ? measure(observation, resolution.baseline) : null;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Check a market's rule against an observation
+ * @returns {{outcome: string, value: number}|null} null when the metric can't be measured
+ */
+function evaluateRule(resolution, observation) {
+    const value = metricValue(resolution, observation);
+    if (value === null) return null;
+
+    return { outcome: COMPARATORS[resolution.comparator](value, resolution.threshold) ? 'yes' : 'no', value };
+}
+
+/**
+ * The sample a market settles on: the first one at or after expiry, else the last one before it,
+ * as long as it is within the tolerance
+ * @param {Array} history - samples with an ISO timestamp, oldest first
+ * @param {number} expiresAt - ms
+ * @param {number} toleranceMs
+ * @returns {Object|null}
+ */
+function pickObservation(history, expiresAt, toleranceMs) {
+    const after = history.find(sample => Date.parse(sample.timestamp) >= expiresAt);
+    if (after && Date.parse(after.timestamp) - expiresAt <= toleranceMs) {
+        return after;
+    }
+
+    const before = history.filter(sample => Date.parse(sample.timestamp) < expiresAt).pop();
+    if (before && expiresAt - Date.parse(before.timestamp) <= toleranceMs) {
+        return before;
+    }
+    return null;
+}
+
+class ResolutionEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.marketStore - MarketStore
+     * @param {{getHistory: function(Object): Array}} options.history - samples for a market's token, oldest first
+     * @param {number} options.toleranceMs - how far from expiry a sample may be; markets still without one after this are voided
+     * @param {function(Object): Promise} [options.sample] - record a fresh sample of a token (called while a locked market waits for data)
+     */
+    constructor(options) {
+        this.marketStore = options.marketStore;
+        this.history = options.history;
+        this.toleranceMs = options.toleranceMs;
+        this.sample = options.sample || null;
+    }
+
+    /**
+     * Lock expired markets and settle every locked market that has data
+     * @returns {Promise<{resolved: Array, voided: Array, pending: Array}>} market ids
+     */
+    async run(now = Date.now()) {
+        this.marketStore.lockExpired(now);
+        const result = { resolved: [], voided: [], pending: [] };
+
+        for (const market of this.marketStore.list({ status: 'locked' })) {
+            const expiresAt = Date.parse(market.expires_at);
+            // Locked by hand before expiry: it still settles on the price at expiry
+            if (expiresAt > now) continue;
+
+            const { reference } = market.resolution;
+            let observation = await this.observe(market, market.token, expiresAt, now);
+            if (observation && reference) {
+                const referenceSample = await this.observe(market, { source: 'coingecko', id: reference }, expiresAt, now);
+                observation = referenceSample ? { ...observation, reference: referenceSample } : null;
+            }
+            // Settled by hand while we waited for a sample
+            if (this.marketStore.get(market.id).status !== 'locked') continue;
+
+            if (!observation) {
+                if (now - expiresAt > this.toleranceMs) {
+                    this.marketStore.void(market.id, {
+                        method: 'auto',
+                        actor: 'resolution-engine',
+                        reason: `No market data within ${Math.round(this.toleranceMs / 60000)} minutes of expiry`
+                    }, now);
+                    result.voided.push(market.id);
+                } else {
+                    result.pending.push(market.id);
+                }
+                continue;
+            }
+
+            const evaluation = evaluateRule(market.resolution, observation);
+            if (!evaluation) {
+                this.marketStore.void(market.id, {
+                    method: 'auto',
+                    actor: 'resolution-engine',
+                    reason: `Cannot measure ${market.resolution.metric} from the recorded data`
+                }, now);
+                result.voided.push(market.id);
+                continue;
+            }
+
+            this.marketStore.resolve(market.id, evaluation.outcome, {
+                method: 'auto',
+                actor: 'resolution-engine',
+                observation,
+                value: evaluation.value
+            }, now);
+            result.resolved.push(market.id);
+        }
+
+        if (result.resolved.length > 0 || result.voided.length > 0) {
+            logger.info('Settled markets', { resolved: result.resolved, voided: result.voided });
+        }
+        return result;
+    }
+
+    // A token's sample at expiry, taking a fresh one while the market can still use it
+    async observe(market, token, expiresAt, now) {
+        const observation = pickObservation(this.history.getHistory(token), expiresAt, this.toleranceMs);
+        if (observation || !this.sample || now - expiresAt > this.toleranceMs) {
+            return observation;
+        }
+
+        try {
+            await this.sample(token);
+        } catch (error) {
+            logger.warn('Failed to sample market token', { market: market.id, token: token.id, error: error.message });
+        }
+        return pickObservation(this.history.getHistory(token), expiresAt, this.toleranceMs);
+    }
+}
+
+module.exports = { ResolutionEngine, evaluateRule, metricValue, pickObservation };
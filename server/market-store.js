@@ -0,0 +1,801 @@
+/**
+ * Prediction market store
+ * Append-only JSON Lines journal with an in-memory index: one full market record per change
+ * (the last one wins) and one line per bet
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { lmsrPrices, quoteBuy } = require('./lmsr');
+
+const MARKET_STATUSES = ['open', 'locked', 'resolved', 'voided'];
+const MARKET_OUTCOMES = ['yes', 'no'];
+const BET_STATUSES = ['open', 'won', 'lost', 'voided'];
+const TOKEN_SOURCES = ['coingecko', 'pump'];
+
+// Resolution rule: "<metric> at expiry <comparator> <threshold>", measured against the baseline taken at creation
+const RESOLUTION_METRICS = ['price', 'price_change_pct', 'market_cap', 'volume_24h', 'volume_change_pct', 'relative_price_change_pct'];
+const RESOLUTION_COMPARATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const COINGECKO_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,48}$/; // Base58 mint address
+const MIN_MARKET_DURATION = 60 * 60 * 1000;
+const MAX_QUESTION_LENGTH = 200;
+
+function invalidMarket(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MARKET';
+    return error;
+}
+
+function readString(value, name, maxLength, required = true) {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw invalidMarket(`${name} is required`);
+        return '';
+    }
+    if (typeof value !== 'string' || value.length > maxLength) {
+        throw invalidMarket(`${name} must be a string of at most ${maxLength} characters`);
+    }
+    return value.trim();
+}
+
+/**
+ * Validate a POST /api/markets body
+ * @param {Object} body
+ * @param {Object} options
+ * @param {number} options.maxDurationMs - latest allowed expiry, from now
+ * @param {number} [options.now]
+ * @returns {{token: Object, question: string, resolution: Object, expires_at: string}}
+ * @throws {Error} with code INVALID_MARKET and a client-facing message
+ */
+function parseMarketInput(body, options) {
+    const now = options.now || Date.now();
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw invalidMarket('Request body must be a JSON object');
+    }
+
+    const token = parseMarketToken(body.token);
+
+    const question = readString(body.question, 'question', MAX_QUESTION_LENGTH);
+    if (question.length < 10) {
+        throw invalidMarket('question must be at least 10 characters');
+    }
+
+    const rule = body.resolution;
+    if (!rule || typeof rule !== 'object') {
+        throw invalidMarket('resolution is required');
+    }
+    if (!RESOLUTION_METRICS.includes(rule.metric)) {
+        throw invalidMarket(`resolution.metric must be one of: ${RESOLUTION_METRICS.join(', ')}`);
+    }
+    if (!RESOLUTION_COMPARATORS.includes(rule.comparator)) {
+        throw invalidMarket(`resolution.comparator must be one of: ${RESOLUTION_COMPARATORS.join(', ')}`);
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        throw invalidMarket('resolution.threshold must be a number');
+    }
+
+    // Relative metrics compare the token with a reference asset (a CoinGecko id)
+    const relative = rule.metric === 'relative_price_change_pct';
+    if (relative && (typeof rule.reference !== 'string' || !COINGECKO_ID_PATTERN.test(rule.reference))) {
+        throw invalidMarket('resolution.reference must be a CoinGecko id for relative metrics');
+    }
+    if (relative && rule.reference === token.id && token.source === 'coingecko') {
+        throw invalidMarket('resolution.reference cannot be the token itself');
+    }
+
+    const expiresAt = typeof body.expires_at === 'string' ? Date.parse(body.expires_at) : NaN;
+    if (!Number.isFinite(expiresAt)) {
+        throw invalidMarket('expires_at must be an ISO date');
+    }
+    if (expiresAt < now + MIN_MARKET_DURATION || expiresAt > now + options.maxDurationMs) {
+        throw invalidMarket(`expires_at must be between 1 hour and ${Math.round(options.maxDurationMs / 86400000)} days from now`);
+    }
+
+    const resolution = { metric: rule.metric, comparator: rule.comparator, threshold: rule.threshold };
+    if (relative) {
+        resolution.reference = rule.reference;
+    }
+
+    return {
+        token,
+        question,
+        resolution,
+        expires_at: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Validate the token a market is about; symbol and name may be left out, the proxy fills them in from market data
+ * @returns {{id: string, source: string, symbol: string, name: string, image: string}}
+ * @throws {Error} with code INVALID_MARKET
+ */
+function parseMarketToken(token) {
+    if (!token || typeof token !== 'object') {
+        throw invalidMarket('token is required');
+    }
+    const source = token.source || 'coingecko';
+    if (!TOKEN_SOURCES.includes(source)) {
+        throw invalidMarket(`token.source must be one of: ${TOKEN_SOURCES.join(', ')}`);
+    }
+    const tokenId = readString(token.id, 'token.id', 100);
+    if (!(source === 'pump' ? MINT_PATTERN : COINGECKO_ID_PATTERN).test(tokenId)) {
+        throw invalidMarket(source === 'pump' ? 'token.id must be a mint address' : 'token.id must be a CoinGecko id');
+    }
+    const image = readString(token.image, 'token.image', 500, false);
+    if (image && !/^https:\/\//.test(image)) {
+        throw invalidMarket('token.image must be an https URL');
+    }
+
+    return {
+        id: tokenId,
+        source,
+        symbol: readString(token.symbol, 'token.symbol', 20, false),
+        name: readString(token.name, 'token.name', 100, false),
+        image
+    };
+}
+
+/**
+ * Outcome prices (0-1) from the market maker's outstanding shares; a new market trades at even odds
+ */
+function marketPrices(market) {
+    return lmsrPrices(market.amm.shares, market.amm.liquidity);
+}
+
+function storeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function marketClosed(market) {
+    return storeError('MARKET_CLOSED', `Market is ${market.status}`);
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Markets as the API returns them: the stored record plus derived prices
+function describeMarket(market) {
+    return { ...market, prices: marketPrices(market) };
+}
+
+/**
+ * A bet as its owner sees it: the market it is on and what it is worth
+ * Open bets are marked at the side's current price (unrealized P&L); settled bets have a payout (realized P&L).
+ * @param {Object} bet
+ * @param {Object} market - the bet's market
+ */
+function describeBet(bet, market) {
+    const { signature, nonce, order_expires_at: orderExpiresAt, ...position } = bet;
+    const open = bet.status === 'open';
+    const markPrice = open ? marketPrices(market)[bet.side] : null;
+    const value = open ? bet.shares * markPrice : bet.payout;
+
+    return {
+        ...position,
+        mode: bet.mode || 'live', // paper positions are virtual SOL and never count towards live P&L
+        market: {
+            id: market.id,
+            question: market.question,
+            token: market.token,
+            // Generated markets are grouped by question template, hand-written ones as custom
+            category: market.template ? market.template.id : 'custom',
+            status: market.status,
+            outcome: market.outcome,
+            expires_at: market.expires_at,
+            resolved_at: market.resolved_at
+        },
+        mark_price: markPrice,
+        value,
+        unrealized_pnl: open ? value - bet.amount : null,
+        realized_pnl: open ? null : value - bet.amount
+    };
+}
+
+class MarketStore {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.filePath - JSON Lines journal, created on first write (null keeps markets in memory only)
+     * @param {number} options.liquidity - LMSR liquidity (SOL) for new markets
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.liquidity = options.liquidity;
+
+        this.markets = new Map(); // id -> market, in creation order
+        this.bets = new Map(); // id -> bet, in placement order
+        this.usedNonces = new Map(); // wallet:nonce -> order expiry (ms); expired orders are refused anyway
+        this.audit = []; // resolutions, overrides and voids, oldest first
+        this.paperAccounts = new Map(); // id -> paper-trading account
+        this.paperKeys = new Map(); // sha256(key) -> account id; the key itself is never stored
+        this.paperBetIds = new Map(); // paper account id -> Set of its bet ids, so balances don't scan every bet
+        this.journalLines = 0;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the journal into memory, skipping unreadable lines
+     */
+    async load() {
+        if (!this.filePath) return;
+
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        let skipped = 0;
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                continue;
+            }
+
+            if (entry.type === 'market' && entry.id) {
+                const { type, ...market } = entry;
+                // Markets journaled before pricing moved to the market maker start from even odds
+                market.amm = market.amm || { liquidity: this.liquidity, shares: { yes: 0, no: 0 } };
+                this.markets.set(market.id, market);
+                this.journalLines++;
+            } else if (entry.type === 'bet' && entry.id) {
+                const { type, ...bet } = entry;
+                this.bets.set(bet.id, bet);
+                if (bet.mode === 'paper') {
+                    this.indexPaperBet(bet);
+                } else {
+                    this.usedNonces.set(`${bet.wallet}:${bet.nonce}`, Date.parse(bet.order_expires_at));
+                }
+                this.journalLines++;
+            } else if (entry.type === 'paper_account' && entry.id) {
+                const { type, ...account } = entry;
+                this.paperAccounts.set(account.id, account);
+                this.paperKeys.set(account.key_hash, account.id);
+                this.journalLines++;
+            } else if (entry.type === 'audit' && entry.id) {
+                const { type, ...record } = entry;
+                this.audit.push(record);
+                this.journalLines++;
+            }
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable market lines', { file: this.filePath, skipped });
+        }
+    }
+
+    /**
+     * Open a market from validated input (see parseMarketInput)
+     * @param {Object} input
+     * @param {Object} baseline - token metrics at creation ({price, market_cap, volume_24h, recorded_at})
+     */
+    create(input, baseline, now = Date.now()) {
+        const timestamp = new Date(now).toISOString();
+        const market = {
+            id: `mkt_${crypto.randomBytes(8).toString('hex')}`,
+            token: input.token,
+            question: input.question,
+            template: input.template || null, // { id, params } when rendered from a question template
+            resolution: { ...input.resolution, baseline },
+            status: 'open',
+            outcome: null,
+            pools: { yes: 0, no: 0 }, // SOL staked per outcome
+            amm: { liquidity: this.liquidity, shares: { yes: 0, no: 0 } },
+            created_at: timestamp,
+            expires_at: input.expires_at,
+            resolved_at: null,
+            settlement: null, // how it was resolved or voided
+            updated_at: timestamp
+        };
+
+        this.markets.set(market.id, market);
+        this.append('market', market);
+        return market;
+    }
+
+    /**
+     * Apply changes to a market and journal the new record
+     */
+    update(id, changes, now = Date.now()) {
+        const market = this.markets.get(id);
+        if (!market) return null;
+
+        const updated = { ...market, ...changes, updated_at: new Date(now).toISOString() };
+        this.markets.set(id, updated);
+        this.append('market', updated);
+        return updated;
+    }
+
+    get(id) {
+        return this.markets.get(id) || null;
+    }
+
+    /**
+     * What spending an amount on one side of an open market would buy (see quoteBuy)
+     * @throws {Error} with code MARKET_CLOSED unless the market is open
+     */
+    quote(id, side, amount) {
+        const market = this.markets.get(id);
+        if (market.status !== 'open') {
+            throw marketClosed(market);
+        }
+
+        const quote = quoteBuy(market.amm.shares, market.amm.liquidity, side, amount);
+        delete quote.shares_after;
+        return quote;
+    }
+
+    /**
+     * Buy from the market maker: moves the shares (and so the prices) and adds the amount to the side's pool
+     * @returns {{market: Object, quote: Object}} the updated market and the fill
+     * @throws {Error} with code MARKET_CLOSED unless the market is open
+     */
+    trade(id, side, amount, now = Date.now()) {
+        const market = this.markets.get(id);
+        if (market.status !== 'open') {
+            throw marketClosed(market);
+        }
+
+        const { shares_after: sharesAfter, ...quote } = quoteBuy(market.amm.shares, market.amm.liquidity, side, amount);
+        const updated = this.update(id, {
+            pools: { ...market.pools, [side]: market.pools[side] + amount },
+            amm: { ...market.amm, shares: sharesAfter }
+        }, now);
+
+        return { market: updated, quote };
+    }
+
+    /**
+     * Fill a verified order (see parseBetOrder) against the market maker and record the bet
+     * @param {Object} order - market_id, side, amount, max_price, nonce, expires_at, wallet
+     * @param {string} signature - kept with the bet as proof the wallet agreed to it
+     * @returns {{bet: Object, market: Object}} the receipt and the updated market
+     * @throws {Error} with code ORDER_REPLAYED, MARKET_CLOSED or PRICE_MOVED
+     */
+    placeBet(order, signature, now = Date.now()) {
+        for (const [key, expiresAt] of this.usedNonces) {
+            if (expiresAt <= now) this.usedNonces.delete(key);
+        }
+
+        const nonceKey = `${order.wallet}:${order.nonce}`;
+        if (this.usedNonces.has(nonceKey)) {
+            throw storeError('ORDER_REPLAYED', 'This order has already been placed');
+        }
+
+        const quote = this.quote(order.market_id, order.side, order.amount);
+        if (quote.average_price > order.max_price) {
+            throw storeError('PRICE_MOVED', `The price moved to ${(quote.average_price * 100).toFixed(1)}¢, above your limit of ${(order.max_price * 100).toFixed(1)}¢`);
+        }
+
+        const { market, quote: fill } = this.trade(order.market_id, order.side, order.amount, now);
+        const bet = {
+            id: `bet_${crypto.randomBytes(8).toString('hex')}`,
+            market_id: order.market_id,
+            wallet: order.wallet,
+            side: order.side,
+            amount: order.amount,
+            shares: fill.shares,
+            fill_price: fill.average_price,
+            price_after: fill.price_after,
+            max_price: order.max_price,
+            nonce: order.nonce,
+            order_expires_at: order.expires_at,
+            signature,
+            status: 'open',
+            placed_at: new Date(now).toISOString()
+        };
+
+        this.usedNonces.set(nonceKey, Date.parse(order.expires_at));
+        this.bets.set(bet.id, bet);
+        this.append('bet', bet);
+        return { bet, market };
+    }
+
+    /**
+     * Bets matching the filters, oldest first
+     * @param {Object} [filters]
+     * @param {string} [filters.market] - market id
+     * @param {string} [filters.wallet]
+     * @param {string} [filters.paperAccount] - paper account id
+     */
+    getBets(filters = {}) {
+        return Array.from(this.bets.values())
+            .filter(bet => (!filters.market || bet.market_id === filters.market) &&
+                (!filters.wallet || bet.wallet === filters.wallet) &&
+                (!filters.paperAccount || bet.paper_account === filters.paperAccount));
+    }
+
+    /**
+     * Open a paper-trading account: virtual SOL for trying strategies without a wallet
+     * @param {number} startingBalance - SOL
+     * @returns {{account: Object, key: string}} the key is the account's bearer credential
+     */
+    openPaperAccount(startingBalance, now = Date.now()) {
+        const key = crypto.randomBytes(32).toString('base64url');
+        const account = {
+            id: `ppr_${crypto.randomBytes(8).toString('hex')}`,
+            key_hash: hashKey(key),
+            starting_balance: startingBalance,
+            epoch: 1, // bumped by every reset; bets from earlier epochs no longer count
+            created_at: new Date(now).toISOString(),
+            reset_at: null
+        };
+
+        this.paperAccounts.set(account.id, account);
+        this.paperKeys.set(account.key_hash, account.id);
+        this.append('paper_account', account);
+        return { account, key };
+    }
+
+    /**
+     * @param {string} key - from openPaperAccount
+     * @returns {Object|null} the account
+     */
+    getPaperAccount(key) {
+        if (typeof key !== 'string' || key.length === 0) return null;
+        const id = this.paperKeys.get(hashKey(key));
+        return id ? this.paperAccounts.get(id) : null;
+    }
+
+    /**
+     * Start over with the starting balance; earlier positions still settle but no longer count
+     */
+    resetPaperAccount(id, now = Date.now()) {
+        const account = this.paperAccounts.get(id);
+        const updated = { ...account, epoch: account.epoch + 1, reset_at: new Date(now).toISOString() };
+        this.paperAccounts.set(id, updated);
+        this.append('paper_account', updated);
+        return updated;
+    }
+
+    indexPaperBet(bet) {
+        if (!this.paperBetIds.has(bet.paper_account)) {
+            this.paperBetIds.set(bet.paper_account, new Set());
+        }
+        this.paperBetIds.get(bet.paper_account).add(bet.id);
+    }
+
+    // The account's bets since its last reset, oldest first
+    getPaperBets(account) {
+        const ids = this.paperBetIds.get(account.id) || [];
+        return Array.from(ids, id => this.bets.get(id)).filter(bet => bet.paper_epoch === account.epoch);
+    }
+
+    /**
+     * Forget paper accounts that never placed a bet, once they are older than maxAgeMs
+     * They drop out of the journal at the next compaction.
+     * @returns {number} accounts removed
+     */
+    pruneUnusedPaperAccounts(maxAgeMs, now = Date.now()) {
+        let removed = 0;
+        for (const [id, account] of this.paperAccounts) {
+            if (this.paperBetIds.has(id) || now - Date.parse(account.created_at) < maxAgeMs) continue;
+            this.paperAccounts.delete(id);
+            this.paperKeys.delete(account.key_hash);
+            removed++;
+        }
+        return removed;
+    }
+
+    // Starting balance, less every stake, plus the payouts of settled bets
+    paperBalance(account) {
+        return this.getPaperBets(account).reduce((balance, bet) => balance - bet.amount + (bet.status === 'open' ? 0 : bet.payout), account.starting_balance);
+    }
+
+    // A paper account as its owner sees it
+    describePaperAccount(account) {
+        return {
+            id: account.id,
+            balance: this.paperBalance(account),
+            starting_balance: account.starting_balance,
+            created_at: account.created_at,
+            reset_at: account.reset_at
+        };
+    }
+
+    /**
+     * Fill a paper order (see parsePaperOrder) at the quoted average price, slippage included, as a live bet would fill
+     * The market itself doesn't move: paper money never touches the pools or the prices live bets pay.
+     * @param {Object} account - from getPaperAccount
+     * @param {Object} order - market_id, side, amount, max_price
+     * @returns {Object} the bet
+     * @throws {Error} with code MARKET_CLOSED, PRICE_MOVED or INSUFFICIENT_BALANCE
+     */
+    placePaperBet(account, order, now = Date.now()) {
+        const quote = this.quote(order.market_id, order.side, order.amount);
+        if (quote.average_price > order.max_price) {
+            throw storeError('PRICE_MOVED', `The price moved to ${(quote.average_price * 100).toFixed(1)}¢, above your limit of ${(order.max_price * 100).toFixed(1)}¢`);
+        }
+        const balance = this.paperBalance(account);
+        if (order.amount > balance) {
+            throw storeError('INSUFFICIENT_BALANCE', `The paper balance is ${balance.toFixed(2)} SOL`);
+        }
+
+        const bet = {
+            id: `bet_${crypto.randomBytes(8).toString('hex')}`,
+            market_id: order.market_id,
+            mode: 'paper',
+            paper_account: account.id,
+            paper_epoch: account.epoch,
+            wallet: null,
+            side: order.side,
+            amount: order.amount,
+            shares: quote.shares,
+            fill_price: quote.average_price,
+            max_price: order.max_price,
+            status: 'open',
+            placed_at: new Date(now).toISOString()
+        };
+
+        this.bets.set(bet.id, bet);
+        this.indexPaperBet(bet);
+        this.append('bet', bet);
+        return bet;
+    }
+
+    /**
+     * Settle a market on an outcome and pay its bets: each winning share pays 1 SOL
+     * Resolving a resolved market again is an override and re-settles every bet.
+     * @param {string} id
+     * @param {string} outcome - 'yes' or 'no'
+     * @param {Object} settlement
+     * @param {string} settlement.method - 'auto' (resolution engine) or 'manual'
+     * @param {string} settlement.actor - who settled it, for the audit log
+     * @param {string|null} [settlement.reason] - required for manual settlements
+     * @param {Object|null} [settlement.observation] - the sample the rule was checked against
+     * @param {number|null} [settlement.value] - the metric value compared with the threshold
+     * @returns {{market: Object, bets: Array}}
+     * @throws {Error} with code MARKET_FINAL for voided markets
+     */
+    resolve(id, outcome, settlement, now = Date.now()) {
+        const market = this.markets.get(id);
+        if (market.status === 'voided') {
+            throw storeError('MARKET_FINAL', 'Market is voided and can no longer be settled');
+        }
+
+        const updated = this.update(id, {
+            status: 'resolved',
+            outcome,
+            resolved_at: new Date(now).toISOString(),
+            settlement: {
+                method: settlement.method,
+                observation: settlement.observation || null,
+                value: settlement.value === undefined ? null : settlement.value,
+                reason: settlement.reason || null
+            }
+        }, now);
+        this.recordAudit(market, market.status === 'resolved' ? 'override' : 'resolve', outcome, settlement, now);
+
+        const bets = this.settleBets(id, bet => (bet.side === outcome
+            ? { status: 'won', payout: bet.shares }
+            : { status: 'lost', payout: 0 }), now);
+        return { market: updated, bets };
+    }
+
+    /**
+     * Cancel a market and refund every stake
+     * @param {string} id
+     * @param {{method: string, actor: string, reason: string}} settlement
+     * @returns {{market: Object, bets: Array}}
+     * @throws {Error} with code MARKET_FINAL for voided markets
+     */
+    void(id, settlement, now = Date.now()) {
+        const market = this.markets.get(id);
+        if (market.status === 'voided') {
+            throw storeError('MARKET_FINAL', 'Market is already voided');
+        }
+
+        const updated = this.update(id, {
+            status: 'voided',
+            outcome: null,
+            resolved_at: new Date(now).toISOString(),
+            settlement: { method: settlement.method, observation: null, value: null, reason: settlement.reason }
+        }, now);
+        this.recordAudit(market, 'void', null, settlement, now);
+
+        const bets = this.settleBets(id, bet => ({ status: 'voided', payout: bet.amount }), now);
+        return { market: updated, bets };
+    }
+
+    /**
+     * Stop trading on an open market before it expires; it settles at expiry as usual
+     * @param {string} id
+     * @param {{method: string, actor: string, reason: string}} settlement
+     * @throws {Error} with code MARKET_CLOSED unless the market is open
+     */
+    lock(id, settlement, now = Date.now()) {
+        const market = this.markets.get(id);
+        if (market.status !== 'open') {
+            throw marketClosed(market);
+        }
+
+        const updated = this.update(id, { status: 'locked' }, now);
+        this.recordAudit(market, 'lock', null, settlement, now);
+        return updated;
+    }
+
+    /**
+     * Note who opened a market in the audit log
+     * @param {Object} market
+     * @param {{method: string, actor: string}} creator - method is template or custom
+     */
+    recordCreation(market, creator, now = Date.now()) {
+        return this.recordAudit({ id: market.id, status: null, outcome: null }, 'create', null, creator, now);
+    }
+
+    settleBets(marketId, settle, now) {
+        const settledAt = new Date(now).toISOString();
+        return this.getBets({ market: marketId }).map(bet => {
+            const settled = { ...bet, ...settle(bet), settled_at: settledAt };
+            this.bets.set(bet.id, settled);
+            this.append('bet', settled);
+            return settled;
+        });
+    }
+
+    recordAudit(market, action, outcome, settlement, now) {
+        const record = {
+            id: `aud_${crypto.randomBytes(8).toString('hex')}`,
+            market_id: market.id,
+            action,
+            previous_status: market.status,
+            previous_outcome: market.outcome,
+            outcome,
+            method: settlement.method,
+            actor: settlement.actor,
+            reason: settlement.reason || null,
+            at: new Date(now).toISOString()
+        };
+        this.audit.push(record);
+        this.append('audit', record);
+        return record;
+    }
+
+    /**
+     * Audit records, oldest first
+     * @param {Object} [filters]
+     * @param {string} [filters.market] - market id
+     */
+    getAudit(filters = {}) {
+        return this.audit.filter(record => !filters.market || record.market_id === filters.market);
+    }
+
+    // An open market on the same token asking the same question
+    findOpenDuplicate(input) {
+        for (const market of this.markets.values()) {
+            if (market.status === 'open' && market.token.id === input.token.id &&
+                market.question.toLowerCase() === input.question.toLowerCase()) {
+                return market;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Markets matching the filters, soonest expiry first
+     * @param {Object} [filters]
+     * @param {string} [filters.status]
+     * @param {string} [filters.token] - token id
+     */
+    list(filters = {}) {
+        return Array.from(this.markets.values())
+            .filter(market => (!filters.status || market.status === filters.status) &&
+                (!filters.token || market.token.id === filters.token))
+            .sort((a, b) => Date.parse(a.expires_at) - Date.parse(b.expires_at));
+    }
+
+    /**
+     * Stop trading on open markets past their expiry
+     * @returns {Array} the markets that were locked
+     */
+    lockExpired(now = Date.now()) {
+        const locked = [];
+        for (const market of this.markets.values()) {
+            if (market.status === 'open' && Date.parse(market.expires_at) <= now) {
+                locked.push(this.update(market.id, { status: 'locked' }, now));
+            }
+        }
+        if (locked.length > 0) {
+            logger.info('Locked expired markets', { markets: locked.map(market => market.id) });
+        }
+        return locked;
+    }
+
+    append(type, record) {
+        this.journalLines++;
+        if (!this.filePath) return;
+
+        const data = JSON.stringify({ type, ...record }) + '\n';
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, data))
+            .catch(error => {
+                logger.error('Failed to write markets', { error: error.message });
+            });
+    }
+
+    /**
+     * Rewrite the journal with one line per market, bet and paper account, keeping the whole audit log
+     */
+    async compact() {
+        this.journalLines = this.markets.size + this.bets.size + this.audit.length + this.paperAccounts.size;
+        if (!this.filePath) return;
+
+        const lines = [
+            ...Array.from(this.markets.values(), market => JSON.stringify({ type: 'market', ...market })),
+            ...Array.from(this.bets.values(), bet => JSON.stringify({ type: 'bet', ...bet })),
+            ...this.audit.map(record => JSON.stringify({ type: 'audit', ...record })),
+            ...Array.from(this.paperAccounts.values(), account => JSON.stringify({ type: 'paper_account', ...account }))
+        ];
+        const data = lines.join('\n') + (lines.length > 0 ? '\n' : '');
+        const tempPath = `${this.filePath}.tmp`;
+
+        // Wait for pending appends, then swap the file atomically
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, data))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to compact markets', { error: error.message });
+            });
+
+        await this.writeChain;
+    }
+
+    /**
+     * Resolves once every queued write has reached the file
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    stats() {
+        const byStatus = {};
+        MARKET_STATUSES.forEach(status => {
+            byStatus[status] = 0;
+        });
+        for (const market of this.markets.values()) {
+            byStatus[market.status]++;
+        }
+
+        let paperBets = 0;
+        for (const ids of this.paperBetIds.values()) {
+            paperBets += ids.size;
+        }
+        return {
+            markets: this.markets.size,
+            bets: this.bets.size - paperBets,
+            paper_bets: paperBets,
+            paper_accounts: this.paperAccounts.size,
+            journal_lines: this.journalLines,
+            ...byStatus
+        };
+    }
+}
+
+module.exports = {
+    MARKET_STATUSES,
+    MARKET_OUTCOMES,
+    BET_STATUSES,
+    RESOLUTION_METRICS,
+    RESOLUTION_COMPARATORS,
+    MarketStore,
+    parseMarketInput,
+    parseMarketToken,
+    marketPrices,
+    describeMarket,
+    describeBet
+};
@@ -0,0 +1,162 @@
+/**
+ * Minimal Prometheus metrics registry for the Pump.fun proxy
+ * Renders the text exposition format (version 0.0.4) without extra dependencies
+ */
+
+// Request latency buckets in seconds, from cache hits to upstream timeouts
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    return picked;
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.series = new Map(); // key -> { labels, value }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: 0 });
+        }
+        this.series.get(key).value += amount;
+    }
+
+    collect() {
+        return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.series = new Map(); // key -> { labels, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, {
+                labels: pickLabels(this.labelNames, labels),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            });
+        }
+
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Time an async operation and observe its duration in seconds
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    collect() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Values read from existing state at scrape time (cache stats, connected clients...)
+ * @param {Function} read - returns [{ labels, value }]
+ */
+class CollectedMetric {
+    constructor(name, help, type, read) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.read = read;
+    }
+
+    collect() {
+        return this.read().map(sample => `${this.name}${formatLabels(sample.labels || {})} ${sample.value}`);
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(name, help, labelNames, buckets));
+    }
+
+    gauge(name, help, read) {
+        return this.add(new CollectedMetric(name, help, 'gauge', read));
+    }
+
+    collectedCounter(name, help, read) {
+        return this.add(new CollectedMetric(name, help, 'counter', read));
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        const lines = [];
+        this.metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.collect());
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { MetricsRegistry };
@@ -0,0 +1,87 @@
+/**
+ * Portfolio summary for a wallet
+ * Totals, open exposure and realized P&L over time, built from the positions describeBet returns.
+ */
+
+const { tokenKey } = require('./price-history');
+
+function addExposure(groups, key, fields, position) {
+    if (!groups.has(key)) {
+        groups.set(key, { ...fields, positions: 0, staked: 0, value: 0, unrealized_pnl: 0 });
+    }
+    const group = groups.get(key);
+    group.positions++;
+    group.staked += position.amount;
+    group.value += position.value;
+    group.unrealized_pnl += position.unrealized_pnl;
+}
+
+function largestFirst(groups) {
+    return [...groups.values()].sort((a, b) => b.staked - a.staked);
+}
+
+/**
+ * @param {Array} positions - describeBet results for one wallet
+ * @returns {{totals: Object, exposure: {tokens: Array, categories: Array}, history: Array}}
+ *   exposure covers open positions only; history has one point per settled bet, oldest first,
+ *   with the running realized P&L
+ */
+function summarizePortfolio(positions) {
+    const totals = {
+        positions: positions.length,
+        open: 0,
+        won: 0,
+        lost: 0,
+        voided: 0,
+        staked: 0,
+        open_stake: 0,
+        open_value: 0,
+        realized_pnl: 0,
+        unrealized_pnl: 0
+    };
+    const tokens = new Map();
+    const categories = new Map();
+
+    for (const position of positions) {
+        totals[position.status]++;
+        totals.staked += position.amount;
+
+        if (position.status === 'open') {
+            totals.open_stake += position.amount;
+            totals.open_value += position.value;
+            totals.unrealized_pnl += position.unrealized_pnl;
+            addExposure(tokens, tokenKey(position.market.token), { token: position.market.token }, position);
+            addExposure(categories, position.market.category, { category: position.market.category }, position);
+        } else {
+            totals.realized_pnl += position.realized_pnl;
+        }
+    }
+
+    const decided = totals.won + totals.lost;
+    totals.total_pnl = totals.realized_pnl + totals.unrealized_pnl;
+    // Voided bets were refunded, so they count neither way
+    totals.win_rate = decided > 0 ? totals.won / decided : null;
+
+    let realized = 0;
+    const history = positions
+        .filter(position => position.status !== 'open')
+        .sort((a, b) => Date.parse(a.settled_at) - Date.parse(b.settled_at))
+        .map(position => {
+            realized += position.realized_pnl;
+            return {
+                at: position.settled_at,
+                bet_id: position.id,
+                market_id: position.market_id,
+                pnl: position.realized_pnl,
+                realized_pnl: realized
+            };
+        });
+
+    return {
+        totals,
+        exposure: { tokens: largestFirst(tokens), categories: largestFirst(categories) },
+        history
+    };
+}
+
+module.exports = { summarizePortfolio };
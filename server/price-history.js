@@ -0,0 +1,187 @@
+/**
+ * Price history for prediction market tokens
+ * Append-only JSON Lines file of price, market cap and volume samples keyed by token ("coingecko:bonk"),
+ * kept long enough to settle every market. Pump.fun mints already have theirs in TokenSnapshotStore.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const SAMPLE_FIELDS = ['price', 'market_cap', 'volume_24h'];
+
+function tokenKey(token) {
+    return `${token.source}:${token.id}`;
+}
+
+class PriceHistoryStore {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.filePath - JSON Lines file, created on first write (null keeps history in memory only)
+     * @param {number} options.retentionMs - samples older than this are dropped on load and compaction
+     * @param {number} options.minIntervalMs - minimum gap between two samples of the same token
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.retentionMs = options.retentionMs;
+        this.minIntervalMs = options.minIntervalMs;
+
+        this.samples = new Map(); // token key -> [{ timestamp, ...SAMPLE_FIELDS }] oldest first
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the existing file into memory, skipping expired or unreadable lines
+     */
+    async load() {
+        if (!this.filePath) return;
+
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.retentionMs;
+        let skipped = 0;
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                continue;
+            }
+
+            if (entry.type === 'price' && entry.token && Date.parse(entry.timestamp) >= cutoff) {
+                this.addSample(entry.token, entry);
+            }
+        }
+
+        // Hand-written fixtures may be out of order
+        for (const history of this.samples.values()) {
+            history.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable price history lines', { file: this.filePath, skipped });
+        }
+    }
+
+    addSample(key, entry) {
+        const sample = { timestamp: entry.timestamp };
+        SAMPLE_FIELDS.forEach(field => {
+            sample[field] = entry[field];
+        });
+
+        if (!this.samples.has(key)) {
+            this.samples.set(key, []);
+        }
+        this.samples.get(key).push(sample);
+    }
+
+    /**
+     * Record a sample of a token's market data
+     * @param {{source: string, id: string}} token
+     * @param {{price: number, market_cap: number, volume_24h: number}} values
+     * @param {number} [now] - sample time in ms
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - record even within minIntervalMs of the last sample
+     * @returns {boolean} whether the sample was recorded
+     */
+    record(token, values, now = Date.now(), options = {}) {
+        const key = tokenKey(token);
+        const history = this.samples.get(key);
+        const previous = history && history[history.length - 1];
+        if (previous && !options.force && now - Date.parse(previous.timestamp) < this.minIntervalMs) {
+            return false;
+        }
+
+        const entry = { type: 'price', token: key, timestamp: new Date(now).toISOString() };
+        SAMPLE_FIELDS.forEach(field => {
+            entry[field] = values[field];
+        });
+        this.addSample(key, entry);
+        this.append([entry]);
+        return true;
+    }
+
+    append(entries) {
+        if (!this.filePath) return;
+
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, data))
+            .catch(error => {
+                logger.error('Failed to write price history', { error: error.message });
+            });
+    }
+
+    /**
+     * Samples for one token, oldest first
+     * @param {{source: string, id: string}} token
+     * @returns {Array} empty when the token has never been sampled
+     */
+    getHistory(token) {
+        return this.samples.get(tokenKey(token)) || [];
+    }
+
+    /**
+     * Drop expired samples from memory and rewrite the file with what is left
+     */
+    async compact(now = Date.now()) {
+        const cutoff = now - this.retentionMs;
+        const lines = [];
+
+        for (const [key, history] of this.samples) {
+            const kept = history.filter(sample => Date.parse(sample.timestamp) >= cutoff);
+            if (kept.length === 0) {
+                this.samples.delete(key);
+                continue;
+            }
+            this.samples.set(key, kept);
+            kept.forEach(sample => lines.push({ type: 'price', token: key, ...sample }));
+        }
+
+        if (!this.filePath) return;
+
+        // Wait for pending appends, then swap the file atomically
+        const data = lines.map(entry => JSON.stringify(entry)).join('\n') + (lines.length > 0 ? '\n' : '');
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, data))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to compact price history', { error: error.message });
+            });
+
+        await this.writeChain;
+    }
+
+    /**
+     * Resolves once every queued write has reached the file
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    stats() {
+        let sampleCount = 0;
+        for (const history of this.samples.values()) {
+            sampleCount += history.length;
+        }
+
+        return { tokens: this.samples.size, samples: sampleCount };
+    }
+}
+
+module.exports = { PriceHistoryStore, tokenKey };
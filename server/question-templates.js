@@ -0,0 +1,178 @@
+/**
+ * Question templates for generated prediction markets
+ *
+ * Each template declares its parameters and renders both the question people read and the
+ * rule the resolution engine checks, so every generated question can be settled from data.
+ */
+
+// Assets a token can be measured against, by CoinGecko id
+const REFERENCE_ASSETS = {
+    solana: { id: 'solana', symbol: 'SOL' }
+};
+
+// Horizon (hours) -> how questions phrase it
+const HORIZONS = {
+    24: '24 hours',
+    48: '48 hours',
+    72: '72 hours',
+    168: '7 days',
+    720: '30 days'
+};
+
+const THRESHOLD_PARAM = { type: 'number', min: 1, max: 500, description: 'Move in percent (percentage points for comparisons)' };
+const DROP_THRESHOLD_PARAM = { ...THRESHOLD_PARAM, max: 99 }; // A price can't fall 100%
+const HORIZON_PARAM = { type: 'enum', values: Object.keys(HORIZONS).map(Number), description: 'Hours until the market closes' };
+const REFERENCE_PARAM = { type: 'enum', values: Object.keys(REFERENCE_ASSETS), description: 'CoinGecko id of the asset to compare with' };
+
+const QUESTION_TEMPLATES = {
+    pump: {
+        description: 'Price rises by at least the threshold',
+        parameters: { threshold_pct: THRESHOLD_PARAM, horizon_hours: HORIZON_PARAM },
+        render: (symbol, params) => ({
+            question: `Will $${symbol} pump +${params.threshold_pct}% in the next ${HORIZONS[params.horizon_hours]}?`,
+            resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: params.threshold_pct }
+        })
+    },
+    drop: {
+        description: 'Price falls by at least the threshold',
+        parameters: { threshold_pct: DROP_THRESHOLD_PARAM, horizon_hours: HORIZON_PARAM },
+        render: (symbol, params) => ({
+            question: `Will $${symbol} drop ${params.threshold_pct}% or more in the next ${HORIZONS[params.horizon_hours]}?`,
+            resolution: { metric: 'price_change_pct', comparator: 'lte', threshold: -params.threshold_pct }
+        })
+    },
+    volume_spike: {
+        description: '24h volume grows by at least the threshold',
+        parameters: { threshold_pct: THRESHOLD_PARAM, horizon_hours: HORIZON_PARAM },
+        render: (symbol, params) => ({
+            question: `Will $${symbol} see a +${params.threshold_pct}% volume spike in the next ${HORIZONS[params.horizon_hours]}?`,
+            resolution: { metric: 'volume_change_pct', comparator: 'gte', threshold: params.threshold_pct }
+        })
+    },
+    outperform: {
+        description: 'Price change beats the reference asset by at least the threshold (percentage points)',
+        parameters: { threshold_pct: THRESHOLD_PARAM, horizon_hours: HORIZON_PARAM, reference: REFERENCE_PARAM },
+        render: (symbol, params) => ({
+            question: `Will $${symbol} outperform $${REFERENCE_ASSETS[params.reference].symbol} by ${params.threshold_pct}+ points in the next ${HORIZONS[params.horizon_hours]}?`,
+            resolution: { metric: 'relative_price_change_pct', comparator: 'gte', threshold: params.threshold_pct, reference: params.reference }
+        })
+    },
+    hold: {
+        description: 'Price ends above the price when the market opened',
+        parameters: { horizon_hours: HORIZON_PARAM },
+        render: (symbol, params) => ({
+            question: `Will $${symbol} trade above today's price in ${HORIZONS[params.horizon_hours]}?`,
+            resolution: { metric: 'price_change_pct', comparator: 'gt', threshold: 0 }
+        })
+    }
+};
+
+function templateError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MARKET';
+    return error;
+}
+
+/**
+ * Render a template into the question and rule of a new market
+ * @param {string} id - template id
+ * @param {Object} params - the template's parameters
+ * @param {{symbol: string}} token
+ * @returns {{question: string, resolution: Object, horizon_hours: number, template: {id: string, params: Object}}}
+ * @throws {Error} with code INVALID_MARKET for unknown templates or bad parameters
+ */
+function renderTemplate(id, params, token) {
+    const template = Object.prototype.hasOwnProperty.call(QUESTION_TEMPLATES, id) ? QUESTION_TEMPLATES[id] : null;
+    if (!template) {
+        throw templateError(`template.id must be one of: ${Object.keys(QUESTION_TEMPLATES).join(', ')}`);
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw templateError('template.params must be an object');
+    }
+
+    const unknown = Object.keys(params).filter(name => !template.parameters[name]);
+    if (unknown.length > 0) {
+        throw templateError(`Unknown template parameter(s): ${unknown.join(', ')}`);
+    }
+
+    const values = {};
+    for (const [name, schema] of Object.entries(template.parameters)) {
+        const value = params[name];
+        const valid = schema.type === 'enum'
+            ? schema.values.includes(value)
+            : typeof value === 'number' && Number.isFinite(value) && value >= schema.min && value <= schema.max;
+        if (!valid) {
+            throw templateError(schema.type === 'enum'
+                ? `template.params.${name} must be one of: ${schema.values.join(', ')}`
+                : `template.params.${name} must be a number between ${schema.min} and ${schema.max}`);
+        }
+        values[name] = value;
+    }
+
+    if (values.reference && values.reference === token.id) {
+        throw templateError('A token cannot be compared with itself');
+    }
+
+    const rendered = template.render(String(token.symbol || '').toUpperCase(), values);
+    return { ...rendered, horizon_hours: values.horizon_hours, template: { id, params: values } };
+}
+
+// Round a percentage to a number people would pick: 7, 15, 40, 150
+function roundThreshold(value) {
+    if (value < 10) return Math.max(1, Math.round(value));
+    if (value < 50) return Math.round(value / 5) * 5;
+    return Math.round(value / 10) * 10;
+}
+
+/**
+ * Pick a template and parameters from a token's recent moves
+ * Daily volatility sets the horizon, and thresholds are about one typical move over that horizon,
+ * so questions on calm and wild tokens are equally open.
+ * @param {{id: string}} token
+ * @param {Object} metrics - change_24h and change_7d (percent), volume_24h and market_cap
+ * @returns {{id: string, params: Object}}
+ */
+function chooseTemplate(token, metrics) {
+    const change24h = Number(metrics.change_24h) || 0;
+    const change7d = Number(metrics.change_7d) || 0;
+    const dailyVolatility = Math.max(Math.abs(change24h), Math.abs(change7d) / Math.sqrt(7), 1);
+
+    let horizon = 168;
+    if (dailyVolatility >= 15) horizon = 24;
+    else if (dailyVolatility >= 8) horizon = 48;
+    else if (dailyVolatility >= 4) horizon = 72;
+
+    const typicalMove = dailyVolatility * Math.sqrt(horizon / 24);
+    const threshold = Math.min(THRESHOLD_PARAM.max, roundThreshold(typicalMove));
+    const turnover = metrics.market_cap > 0 ? metrics.volume_24h / metrics.market_cap : 0;
+
+    if (change24h <= -10) {
+        return { id: 'drop', params: { threshold_pct: Math.min(DROP_THRESHOLD_PARAM.max, threshold), horizon_hours: horizon } };
+    }
+    if (turnover >= 0.5) {
+        // Already trading heavily: ask whether the interest keeps building
+        const spike = Math.min(THRESHOLD_PARAM.max, Math.max(25, roundThreshold(typicalMove * 2)));
+        return { id: 'volume_spike', params: { threshold_pct: spike, horizon_hours: horizon } };
+    }
+    if (dailyVolatility < 4) {
+        // Calm tokens move with the market, so ask how they do against it
+        if (token.id === REFERENCE_ASSETS.solana.id) {
+            return { id: 'hold', params: { horizon_hours: horizon } };
+        }
+        return { id: 'outperform', params: { threshold_pct: roundThreshold(typicalMove / 2), horizon_hours: horizon, reference: 'solana' } };
+    }
+    return { id: 'pump', params: { threshold_pct: threshold, horizon_hours: horizon } };
+}
+
+/**
+ * The registry as clients see it (no render functions)
+ */
+function describeTemplates() {
+    return Object.entries(QUESTION_TEMPLATES).map(([id, template]) => ({
+        id,
+        description: template.description,
+        parameters: template.parameters
+    }));
+}
+
+module.exports = { QUESTION_TEMPLATES, REFERENCE_ASSETS, renderTemplate, chooseTemplate, describeTemplates };
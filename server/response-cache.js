@@ -0,0 +1,102 @@
+/**
+ * Stale-while-revalidate response cache shared by every route of the proxy
+ */
+
+const { logger } = require('./logger');
+
+class ResponseCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttlMs - served as-is while younger than this
+     * @param {number} options.staleTtlMs - served stale (and revalidated) until this age
+     */
+    constructor(options) {
+        this.ttlMs = options.ttlMs;
+        this.staleTtlMs = options.staleTtlMs;
+
+        this.entries = new Map(); // key -> { value, storedAt }
+        this.inflight = new Map(); // key -> Promise of the upstream call in progress
+        this.stats = { hits: 0, stale: 0, misses: 0, coalesced: 0, revalidations: 0, errors: 0 };
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Run the loader once per key at a time; concurrent callers wait on the same promise
+    load(key, loader) {
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+            return this.inflight.get(key);
+        }
+
+        const promise = loader()
+            .then(value => {
+                this.entries.set(key, { value, storedAt: Date.now() });
+                return value;
+            })
+            .finally(() => {
+                this.inflight.delete(key);
+            });
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Read through the cache
+     * @param {string} key - cache key
+     * @param {Function} loader - async function producing a fresh value
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh] - skip the cache and store the loader's result
+     * @returns {Promise<{value: *, cache: 'fresh'|'cached'|'stale', age: number}>}
+     */
+    async get(key, loader, options = {}) {
+        const entry = this.entries.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (!options.forceRefresh && age < this.ttlMs) {
+            this.stats.hits++;
+            return { value: entry.value, cache: 'cached', age };
+        }
+
+        if (!options.forceRefresh && age < this.staleTtlMs) {
+            // Serve what we have now and refresh in the background
+            this.stats.stale++;
+            if (!this.inflight.has(key)) {
+                this.stats.revalidations++;
+                this.load(key, loader).catch(error => {
+                    this.stats.errors++;
+                    logger.warn('Background revalidation failed', { cache_key: key, error: error.message });
+                });
+            }
+            return { value: entry.value, cache: 'stale', age };
+        }
+
+        if (options.forceRefresh) {
+            this.stats.revalidations++;
+        } else {
+            this.stats.misses++;
+        }
+        try {
+            const value = await this.load(key, loader);
+            return { value, cache: 'fresh', age: 0 };
+        } catch (error) {
+            this.stats.errors++;
+            // Stale-if-error: an old answer beats a 502
+            if (entry) {
+                logger.warn('Serving expired cache after upstream error', { cache_key: key, age_ms: age });
+                return { value: entry.value, cache: 'stale', age };
+            }
+            throw error;
+        }
+    }
+}
+
+function setCacheHeaders(res, result) {
+    const headerValues = { fresh: 'MISS', cached: 'HIT', stale: 'STALE' };
+    res.setHeader('X-Cache', headerValues[result.cache]);
+    res.setHeader('Age', Math.floor(result.age / 1000));
+}
+
+module.exports = { ResponseCache, setCacheHeaders };
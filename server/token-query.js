@@ -0,0 +1,204 @@
+/**
+ * Token sanitizing and /api/pump/tokens query handling
+ * Pure functions shared by the tokens route and the live feed
+ */
+
+// Query parameters accepted by /api/pump/tokens
+const TOKEN_QUERY_PARAMS = ['status', 'min_progress', 'max_progress', 'min_market_cap', 'sort', 'order', 'limit', 'cursor'];
+const TOKEN_STATUSES = ['all', 'graduated', 'bonding'];
+const TOKEN_SORT_KEYS = ['market_cap', 'volume_24h', 'created_timestamp', 'bonding_curve_progress'];
+const DEFAULT_MIN_PROGRESS = 85; // Default feed: graduated or about to graduate
+const MAX_TOKEN_PAGE_SIZE = 50;
+
+// The live feed follows the default feed
+const DEFAULT_TOKEN_FILTERS = { status: 'all', minProgress: DEFAULT_MIN_PROGRESS, maxProgress: 100 };
+
+/**
+ * Only return safe, necessary fields
+ * Accepts both the snake_case and camelCase field names the upstream has used
+ */
+function sanitizeToken(token) {
+    const graduated = token.complete === true || token.graduated === true;
+
+    return {
+        mint: String(token.mint || '').substring(0, 100),
+        name: String(token.name || '').substring(0, 100),
+        symbol: String(token.symbol || '').substring(0, 20),
+        description: String(token.description || '').substring(0, 500),
+        image: String(token.image || '').substring(0, 500),
+        creator: String(token.creator || '').substring(0, 100),
+        market_cap: Number(token.market_cap || token.marketCap || 0),
+        price: Number(token.price || token.pricePerToken || 0),
+        change_24h: Number(token.change_24h || token.priceChange24h || 0),
+        volume_24h: Number(token.volume_24h || token.volume24h || 0),
+        holders: Number(token.holder_count || token.holders || 0),
+        status: graduated ? 'graduated' : 'bonding',
+        graduation_time: token.graduation_timestamp || token.completedAt || null,
+        // A graduated token has completed its curve, whatever the upstream reports
+        bonding_curve_progress: graduated ? 100 : Math.min(Number(token.bondingCurveProgress || token.bonding_curve_progress || 0), 100),
+        created_timestamp: token.created_timestamp || token.createdAt || new Date().toISOString()
+    };
+}
+
+function invalidQuery(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+function readNumberParam(query, name, min, max, fallback) {
+    if (query[name] === undefined) return fallback;
+
+    const value = Number(query[name]);
+    if (query[name] === '' || !Number.isFinite(value) || value < min || value > max) {
+        throw invalidQuery(`${name} must be a number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function parseSinceParam(value, fallback) {
+    if (value === undefined) return fallback;
+
+    // Accept ISO dates or epoch milliseconds
+    const since = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(since)) {
+        throw invalidQuery('since must be an ISO date or a timestamp in milliseconds');
+    }
+    return since;
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value, sort, order) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalidQuery('cursor is malformed');
+    }
+
+    if (!cursor || typeof cursor.m !== 'string' || typeof cursor.v !== 'number') {
+        throw invalidQuery('cursor is malformed');
+    }
+    if (cursor.s !== sort || cursor.o !== order) {
+        throw invalidQuery('cursor was issued for a different sort or order');
+    }
+    return cursor;
+}
+
+/**
+ * Validate /api/pump/tokens query parameters
+ * @throws {Error} with code INVALID_QUERY and a client-facing message
+ */
+function parseTokenQuery(query) {
+    const unknown = Object.keys(query).filter(name => !TOKEN_QUERY_PARAMS.includes(name));
+    if (unknown.length > 0) {
+        throw invalidQuery(`Unknown query parameter(s): ${unknown.join(', ')}. Allowed: ${TOKEN_QUERY_PARAMS.join(', ')}`);
+    }
+
+    const repeated = Object.keys(query).filter(name => typeof query[name] !== 'string');
+    if (repeated.length > 0) {
+        throw invalidQuery(`Query parameter(s) must be given once: ${repeated.join(', ')}`);
+    }
+
+    const status = query.status || 'all';
+    if (!TOKEN_STATUSES.includes(status)) {
+        throw invalidQuery(`status must be one of: ${TOKEN_STATUSES.join(', ')}`);
+    }
+
+    const sort = query.sort || 'market_cap';
+    if (!TOKEN_SORT_KEYS.includes(sort)) {
+        throw invalidQuery(`sort must be one of: ${TOKEN_SORT_KEYS.join(', ')}`);
+    }
+
+    const order = query.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+        throw invalidQuery('order must be asc or desc');
+    }
+
+    const minProgress = readNumberParam(query, 'min_progress', 0, 100, DEFAULT_MIN_PROGRESS);
+    const maxProgress = readNumberParam(query, 'max_progress', 0, 100, 100);
+    if (minProgress > maxProgress) {
+        throw invalidQuery('min_progress cannot be greater than max_progress');
+    }
+
+    const limit = readNumberParam(query, 'limit', 1, MAX_TOKEN_PAGE_SIZE, MAX_TOKEN_PAGE_SIZE);
+    if (!Number.isInteger(limit)) {
+        throw invalidQuery(`limit must be a number between 1 and ${MAX_TOKEN_PAGE_SIZE}`);
+    }
+
+    return {
+        status,
+        minProgress,
+        maxProgress,
+        minMarketCap: readNumberParam(query, 'min_market_cap', 0, Number.MAX_SAFE_INTEGER, 0),
+        sort,
+        order,
+        limit,
+        cursor: query.cursor ? decodeCursor(query.cursor, sort, order) : null
+    };
+}
+
+function tokenSortValue(token, sort) {
+    const value = token[sort];
+    if (sort === 'created_timestamp' && typeof value !== 'number') {
+        return Date.parse(value) || 0;
+    }
+    return Number(value) || 0;
+}
+
+// Sort by the requested key, then by mint so every token has a stable position for cursors
+function compareTokens(a, b, sort, order) {
+    const difference = tokenSortValue(a, sort) - tokenSortValue(b, sort);
+    if (difference !== 0) {
+        return order === 'asc' ? difference : -difference;
+    }
+    return a.mint < b.mint ? -1 : a.mint > b.mint ? 1 : 0;
+}
+
+function matchesTokenFilters(token, query) {
+    return (query.status === 'all' || token.status === query.status) &&
+        token.bonding_curve_progress >= query.minProgress &&
+        token.bonding_curve_progress <= query.maxProgress &&
+        token.market_cap >= (query.minMarketCap || 0);
+}
+
+/**
+ * Filter, sort and page a sanitized token list
+ * @returns {{tokens: Array, total: number, nextCursor: string|null}}
+ */
+function applyTokenQuery(tokens, query) {
+    const matching = tokens
+        .filter(token => token.mint && matchesTokenFilters(token, query))
+        .sort((a, b) => compareTokens(a, b, query.sort, query.order));
+
+    let start = 0;
+    if (query.cursor) {
+        const after = { mint: query.cursor.m, [query.sort]: query.cursor.v };
+        start = matching.findIndex(token => compareTokens(token, after, query.sort, query.order) > 0);
+        if (start === -1) start = matching.length;
+    }
+
+    const page = matching.slice(start, start + query.limit);
+    const last = page[page.length - 1];
+    const hasMore = start + page.length < matching.length;
+
+    return {
+        tokens: page,
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor({ s: query.sort, o: query.order, v: tokenSortValue(last, query.sort), m: last.mint }) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_TOKEN_FILTERS,
+    sanitizeToken,
+    invalidQuery,
+    readNumberParam,
+    parseSinceParam,
+    parseTokenQuery,
+    matchesTokenFilters,
+    applyTokenQuery
+};
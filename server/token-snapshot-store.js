@@ -0,0 +1,270 @@
+/**
+ * Token snapshot store for the Pump.fun proxy
+ * Append-only JSON Lines file with an in-memory index and a retention window
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Fields kept for each snapshot (the rest of the token rarely changes)
+const SNAPSHOT_FIELDS = ['price', 'market_cap', 'volume_24h', 'change_24h', 'holders', 'bonding_curve_progress', 'status'];
+
+class TokenSnapshotStore {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.filePath - JSON Lines file, created on first write (null keeps history in memory only)
+     * @param {number} options.retentionMs - snapshots older than this are dropped on load and compaction
+     * @param {number} options.minIntervalMs - minimum gap between two snapshots of the same mint unless its status changes
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.retentionMs = options.retentionMs;
+        this.minIntervalMs = options.minIntervalMs;
+
+        this.snapshots = new Map(); // mint -> [{ timestamp, ...SNAPSHOT_FIELDS }] oldest first
+        this.graduations = new Map(); // mint -> { mint, symbol, name, graduation_time, source }
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the existing file into memory, skipping expired or unreadable lines
+     */
+    async load() {
+        if (!this.filePath) return;
+
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.retentionMs;
+        let skipped = 0;
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                continue;
+            }
+
+            if (entry.type === 'snapshot' && Date.parse(entry.timestamp) >= cutoff) {
+                this.addSnapshot(entry.mint, entry);
+            } else if (entry.type === 'graduation' && Date.parse(entry.recorded_at) >= cutoff) {
+                this.graduations.set(entry.mint, {
+                    mint: entry.mint,
+                    symbol: entry.symbol,
+                    name: entry.name,
+                    graduation_time: entry.graduation_time,
+                    source: entry.source,
+                    recorded_at: entry.recorded_at
+                });
+            }
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable snapshot lines', { file: this.filePath, skipped });
+        }
+    }
+
+    addSnapshot(mint, entry) {
+        const snapshot = { timestamp: entry.timestamp };
+        SNAPSHOT_FIELDS.forEach(field => {
+            snapshot[field] = entry[field];
+        });
+
+        if (!this.snapshots.has(mint)) {
+            this.snapshots.set(mint, []);
+        }
+        this.snapshots.get(mint).push(snapshot);
+    }
+
+    /**
+     * Record a poll of sanitized tokens
+     * @param {Array} tokens - sanitized tokens from the upstream
+     * @param {number} [now] - poll time in ms
+     * @returns {Array} the same tokens with graduation_time filled in from the store where the upstream left it empty
+     */
+    record(tokens, now = Date.now()) {
+        const timestamp = new Date(now).toISOString();
+        const lines = [];
+
+        const enriched = tokens.map(token => {
+            if (!token.mint) return token;
+
+            const history = this.snapshots.get(token.mint);
+            const previous = history && history[history.length - 1];
+
+            if (token.status === 'graduated' && !this.graduations.has(token.mint)) {
+                const graduation = this.describeGraduation(token, previous, timestamp);
+                this.graduations.set(token.mint, graduation);
+                lines.push({ type: 'graduation', ...graduation });
+            }
+
+            const statusChanged = previous && previous.status !== token.status;
+            const due = !previous || now - Date.parse(previous.timestamp) >= this.minIntervalMs;
+            if (due || statusChanged) {
+                const entry = { type: 'snapshot', mint: token.mint, timestamp };
+                SNAPSHOT_FIELDS.forEach(field => {
+                    entry[field] = token[field];
+                });
+                this.addSnapshot(token.mint, entry);
+                lines.push(entry);
+            }
+
+            const graduation = this.graduations.get(token.mint);
+            if (!token.graduation_time && graduation && graduation.graduation_time) {
+                return { ...token, graduation_time: graduation.graduation_time };
+            }
+            return token;
+        });
+
+        if (lines.length > 0) {
+            this.append(lines);
+        }
+
+        return enriched;
+    }
+
+    /**
+     * Work out when a token graduated, and how sure we are about it
+     */
+    describeGraduation(token, previous, timestamp) {
+        const upstreamTime = token.graduation_time ? new Date(token.graduation_time) : null;
+        let graduationTime = timestamp;
+        let source;
+
+        if (upstreamTime && !isNaN(upstreamTime.getTime())) {
+            graduationTime = upstreamTime.toISOString();
+            source = 'upstream';
+        } else if (previous && previous.status === 'bonding') {
+            // Seen bonding on an earlier poll: it graduated between then and now
+            source = 'observed';
+        } else {
+            source = 'first_seen';
+        }
+
+        return {
+            mint: token.mint,
+            symbol: token.symbol,
+            name: token.name,
+            graduation_time: graduationTime,
+            source,
+            recorded_at: timestamp
+        };
+    }
+
+    append(entries) {
+        if (!this.filePath) return;
+
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, data))
+            .catch(error => {
+                logger.error('Failed to write token snapshots', { error: error.message });
+            });
+    }
+
+    /**
+     * Snapshots for one mint, oldest first
+     * @param {string} mint
+     * @param {Object} [options]
+     * @param {number} [options.since] - only snapshots at or after this time (ms)
+     * @param {number} [options.limit] - keep the most recent N
+     * @returns {Array|null} null when the mint has never been seen
+     */
+    getHistory(mint, options = {}) {
+        const history = this.snapshots.get(mint);
+        if (!history) return null;
+
+        const since = options.since || 0;
+        const matching = history.filter(snapshot => Date.parse(snapshot.timestamp) >= since);
+        return options.limit ? matching.slice(-options.limit) : matching;
+    }
+
+    getGraduation(mint) {
+        return this.graduations.get(mint) || null;
+    }
+
+    /**
+     * Graduations at or after a time, most recent first
+     */
+    getGraduations(since) {
+        return Array.from(this.graduations.values())
+            .filter(graduation => Date.parse(graduation.graduation_time) >= since)
+            .sort((a, b) => Date.parse(b.graduation_time) - Date.parse(a.graduation_time));
+    }
+
+    /**
+     * Drop expired entries from memory and rewrite the file with what is left
+     */
+    async compact(now = Date.now()) {
+        const cutoff = now - this.retentionMs;
+        const lines = [];
+
+        for (const [mint, history] of this.snapshots) {
+            const kept = history.filter(snapshot => Date.parse(snapshot.timestamp) >= cutoff);
+            if (kept.length === 0) {
+                this.snapshots.delete(mint);
+                continue;
+            }
+            this.snapshots.set(mint, kept);
+            kept.forEach(snapshot => lines.push({ type: 'snapshot', mint, ...snapshot }));
+        }
+
+        for (const [mint, graduation] of this.graduations) {
+            if (Date.parse(graduation.recorded_at) < cutoff) {
+                this.graduations.delete(mint);
+            } else {
+                lines.push({ type: 'graduation', ...graduation });
+            }
+        }
+
+        if (!this.filePath) return;
+
+        // Wait for pending appends, then swap the file atomically
+        const data = lines.map(entry => JSON.stringify(entry)).join('\n') + (lines.length > 0 ? '\n' : '');
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.writeChain = this.writeChain
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, data))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .catch(error => {
+                logger.error('Failed to compact token snapshots', { error: error.message });
+            });
+
+        await this.writeChain;
+    }
+
+    /**
+     * Resolves once every queued write has reached the file
+     */
+    flush() {
+        return this.writeChain;
+    }
+
+    stats() {
+        let snapshotCount = 0;
+        for (const history of this.snapshots.values()) {
+            snapshotCount += history.length;
+        }
+
+        return {
+            tokens: this.snapshots.size,
+            snapshots: snapshotCount,
+            graduations: this.graduations.size
+        };
+    }
+}
+
+module.exports = { TokenSnapshotStore };
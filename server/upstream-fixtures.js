@@ -0,0 +1,121 @@
+/**
+ * Upstream fixture files: recorded by the proxy, served by the stand-in upstream
+ *
+ * One JSON file per response:
+ * {
+ *   "request": { "method": "GET", "path": "/coins/trending", "query": {} },
+ *   "response": { "status": 200, "body": ... },
+ *   "source": "https://frontend-api.pump.fun/coins/trending",
+ *   "recorded_at": "2024-01-15T14:30:00.000Z"
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Scenarios are directories overlaid on top of this one
+const DEFAULT_SCENARIO = 'default';
+
+function sortedQuery(searchParams) {
+    const query = {};
+    Array.from(searchParams.keys()).sort().forEach(key => {
+        query[key] = searchParams.get(key);
+    });
+    return query;
+}
+
+// frontend-api.pump.fun_coins_trending.json, api.coingecko.com_api_v3_coins_markets_3f2a9c1b.json
+function fixtureFileName(url) {
+    const parsed = new URL(url);
+    const base = `${parsed.host}${parsed.pathname}`.replace(/[^A-Za-z0-9.-]+/g, '_').replace(/_+$/, '');
+    const query = sortedQuery(parsed.searchParams);
+
+    if (Object.keys(query).length === 0) {
+        return `${base}.json`;
+    }
+    const hash = crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex').slice(0, 8);
+    return `${base}_${hash}.json`;
+}
+
+/**
+ * Save one upstream response as a fixture (later recordings of the same URL replace earlier ones)
+ */
+async function recordFixture(dir, url, status, body) {
+    const parsed = new URL(url);
+    const fixture = {
+        request: { method: 'GET', path: parsed.pathname, query: sortedQuery(parsed.searchParams) },
+        response: { status, body },
+        source: url,
+        recorded_at: new Date().toISOString()
+    };
+
+    const filePath = path.join(dir, fixtureFileName(url));
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2) + '\n');
+    logger.debug('Recorded upstream fixture', { file: filePath });
+}
+
+function readFixtureDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            if (!fixture.request || !fixture.request.path || !fixture.response) {
+                throw new Error(`Fixture ${name} needs request.path and response`);
+            }
+            return {
+                file: name,
+                method: fixture.request.method || 'GET',
+                path: fixture.request.path,
+                query: fixture.request.query || {},
+                status: fixture.response.status || 200,
+                body: fixture.response.body
+            };
+        });
+}
+
+/**
+ * Load the default fixtures with a scenario's fixtures on top
+ * @param {string} rootDir - directory holding one subdirectory per scenario
+ * @param {string} [scenario] - e.g. 'bare-array' or 'recorded'
+ * @returns {Array} fixtures, scenario ones first so they win ties
+ */
+function loadFixtures(rootDir, scenario = DEFAULT_SCENARIO) {
+    const fixtures = readFixtureDir(path.join(rootDir, DEFAULT_SCENARIO));
+
+    if (scenario !== DEFAULT_SCENARIO) {
+        const scenarioDir = path.join(rootDir, scenario);
+        if (!fs.existsSync(scenarioDir)) {
+            throw new Error(`Unknown fixture scenario: ${scenario}`);
+        }
+        return [...readFixtureDir(scenarioDir), ...fixtures];
+    }
+    return fixtures;
+}
+
+/**
+ * Find the fixture for a request: same method and path, every query value the fixture
+ * names must match, and the fixture naming the most query values wins
+ */
+function findFixture(fixtures, method, pathname, query) {
+    let best = null;
+
+    for (const fixture of fixtures) {
+        if (fixture.method !== method || fixture.path !== pathname) continue;
+
+        const keys = Object.keys(fixture.query);
+        if (!keys.every(key => query[key] === fixture.query[key])) continue;
+
+        if (!best || keys.length > Object.keys(best.query).length) {
+            best = fixture;
+        }
+    }
+    return best;
+}
+
+module.exports = { fixtureFileName, recordFixture, loadFixtures, findFixture, sortedQuery };
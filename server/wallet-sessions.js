@@ -0,0 +1,208 @@
+/**
+ * Wallet sign-in sessions
+ * The proxy issues a one-time challenge bound to the site asking for it, the wallet signs it, and the
+ * verified signature is exchanged for a short-lived bearer session that can be revoked at any time.
+ * Sessions live in memory, so restarting the proxy signs everyone out.
+ */
+
+const crypto = require('crypto');
+const { SOLANA_ADDRESS_PATTERN } = require('./bet-orders');
+const { verifySolanaSignature, verifyEthereumSignature } = require('./wallet-signatures');
+
+const WALLET_CHAINS = {
+    solana: {
+        name: 'Solana',
+        chainId: 'mainnet',
+        addressPattern: SOLANA_ADDRESS_PATTERN,
+        verify: verifySolanaSignature
+    },
+    ethereum: {
+        name: 'Ethereum',
+        chainId: '1',
+        addressPattern: /^0x[0-9a-fA-F]{40}$/,
+        verify: verifyEthereumSignature
+    }
+};
+
+function authError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Ethereum addresses are case-insensitive (the case is only a checksum)
+function normalizeAddress(chain, address) {
+    return chain === 'ethereum' ? address.toLowerCase() : address;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The text the wallet signs, in the Sign-In with Ethereum (EIP-4361) layout Solana wallets also use
+ * @param {Object} challenge - { chain, address, origin, nonce, issued_at, expires_at }
+ * @returns {string}
+ */
+function challengeMessage(challenge) {
+    const chain = WALLET_CHAINS[challenge.chain];
+    return [
+        `${new URL(challenge.origin).host} wants you to sign in with your ${chain.name} account:`,
+        challenge.address,
+        '',
+        'Sign in to Micro prediction markets. This request will not trigger a transaction or cost any fees.',
+        '',
+        `URI: ${challenge.origin}`,
+        'Version: 1',
+        `Chain ID: ${chain.chainId}`,
+        `Nonce: ${challenge.nonce}`,
+        `Issued At: ${challenge.issued_at}`,
+        `Expiration Time: ${challenge.expires_at}`
+    ].join('\n');
+}
+
+class WalletSessionStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.challengeTtlMs - how long a challenge can be signed
+     * @param {number} options.sessionTtlMs - how long a verified session lasts
+     * @param {number} options.maxChallenges - unsigned challenges held at once
+     */
+    constructor(options) {
+        this.challengeTtlMs = options.challengeTtlMs;
+        this.sessionTtlMs = options.sessionTtlMs;
+        this.maxChallenges = options.maxChallenges;
+
+        this.challenges = new Map(); // nonce -> challenge
+        this.sessions = new Map(); // sha256(token) -> session; the token itself is never stored
+    }
+
+    /**
+     * @param {{chain: string, address: string, origin: string}} request - origin is the site signing in
+     * @returns {{nonce: string, message: string, expires_at: string}}
+     * @throws {Error} with code INVALID_SIGN_IN for bad input, TOO_MANY_CHALLENGES when the store is full
+     */
+    createChallenge(request, now = Date.now()) {
+        const chain = Object.prototype.hasOwnProperty.call(WALLET_CHAINS, request.chain) ? WALLET_CHAINS[request.chain] : null;
+        if (!chain) {
+            throw authError('INVALID_SIGN_IN', `chain must be one of: ${Object.keys(WALLET_CHAINS).join(', ')}`);
+        }
+        if (typeof request.address !== 'string' || !chain.addressPattern.test(request.address)) {
+            throw authError('INVALID_SIGN_IN', `address must be a ${chain.name} address`);
+        }
+        if (!/^https?:\/\/[^/]+$/.test(request.origin || '')) {
+            throw authError('INVALID_SIGN_IN', 'Sign-in needs an http(s) origin');
+        }
+
+        this.prune(now);
+        if (this.challenges.size >= this.maxChallenges) {
+            throw authError('TOO_MANY_CHALLENGES', 'Too many sign-in requests in progress, try again shortly');
+        }
+
+        const challenge = {
+            chain: request.chain,
+            address: request.address,
+            origin: request.origin,
+            nonce: crypto.randomBytes(16).toString('hex'),
+            issued_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.challengeTtlMs).toISOString()
+        };
+        challenge.message = challengeMessage(challenge);
+        this.challenges.set(challenge.nonce, challenge);
+
+        return { nonce: challenge.nonce, message: challenge.message, expires_at: challenge.expires_at };
+    }
+
+    /**
+     * Exchange a signed challenge for a session; each challenge gets a single attempt
+     * @param {{nonce: string, signature: string, origin: string}} response
+     * @returns {{token: string, session: Object}}
+     * @throws {Error} with code UNKNOWN_CHALLENGE (unknown, used or expired), ORIGIN_MISMATCH or INVALID_SIGNATURE
+     */
+    verifyChallenge(response, now = Date.now()) {
+        const challenge = typeof response.nonce === 'string' ? this.challenges.get(response.nonce) : null;
+        if (challenge) {
+            this.challenges.delete(challenge.nonce);
+        }
+        if (!challenge || Date.parse(challenge.expires_at) <= now) {
+            throw authError('UNKNOWN_CHALLENGE', 'This sign-in request is unknown, used or expired. Start again');
+        }
+
+        if (response.origin !== challenge.origin) {
+            throw authError('ORIGIN_MISMATCH', 'The sign-in request was issued to another site');
+        }
+        if (!WALLET_CHAINS[challenge.chain].verify(challenge.message, response.signature, challenge.address)) {
+            throw authError('INVALID_SIGNATURE', `The signature does not match ${challenge.address}`);
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            id: `ses_${crypto.randomBytes(8).toString('hex')}`,
+            chain: challenge.chain,
+            address: normalizeAddress(challenge.chain, challenge.address),
+            origin: challenge.origin,
+            created_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.sessionTtlMs).toISOString()
+        };
+        this.sessions.set(hashToken(token), session);
+
+        return { token, session };
+    }
+
+    /**
+     * @param {string} token - bearer token from verifyChallenge
+     * @returns {Object|null} the session, null when unknown, expired or revoked
+     */
+    authenticate(token, now = Date.now()) {
+        if (typeof token !== 'string' || token.length === 0) return null;
+
+        const key = hashToken(token);
+        const session = this.sessions.get(key);
+        if (!session) return null;
+        if (Date.parse(session.expires_at) <= now) {
+            this.sessions.delete(key);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * End one session (sign out)
+     * @returns {boolean} whether the token had a session
+     */
+    revoke(token) {
+        return typeof token === 'string' && this.sessions.delete(hashToken(token));
+    }
+
+    /**
+     * End every session of a wallet
+     * @returns {number} sessions revoked
+     */
+    revokeWallet(chain, address) {
+        const normalized = normalizeAddress(chain, address);
+        let revoked = 0;
+        for (const [key, session] of this.sessions) {
+            if (session.chain === chain && session.address === normalized) {
+                this.sessions.delete(key);
+                revoked++;
+            }
+        }
+        return revoked;
+    }
+
+    // Drop expired challenges and sessions
+    prune(now = Date.now()) {
+        for (const [nonce, challenge] of this.challenges) {
+            if (Date.parse(challenge.expires_at) <= now) this.challenges.delete(nonce);
+        }
+        for (const [key, session] of this.sessions) {
+            if (Date.parse(session.expires_at) <= now) this.sessions.delete(key);
+        }
+    }
+
+    stats() {
+        return { challenges: this.challenges.size, sessions: this.sessions.size };
+    }
+}
+
+module.exports = { WALLET_CHAINS, WalletSessionStore, challengeMessage };
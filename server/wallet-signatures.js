@@ -0,0 +1,295 @@
+/**
+ * Wallet signature verification
+ * Solana wallets (Phantom, Solflare) sign messages with the account's ed25519 key; Ethereum wallets
+ * (MetaMask) sign with secp256k1 through personal_sign. Node has neither keccak-256 nor secp256k1 public
+ * key recovery, so both are implemented here with BigInt.
+ */
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// DER header of an ed25519 SubjectPublicKeyInfo; the 32-byte raw key follows
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * @param {string} value - base58 text (Solana addresses and signatures)
+ * @returns {Buffer|null} null when the text isn't base58
+ */
+function decodeBase58(value) {
+    if (typeof value !== 'string' || value.length === 0) return null;
+
+    let number = 0n;
+    for (const char of value) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        number = number * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (number > 0n) {
+        bytes.unshift(Number(number % 256n));
+        number /= 256n;
+    }
+    // Each leading '1' is a leading zero byte
+    for (const char of value) {
+        if (char !== '1') break;
+        bytes.unshift(0);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Check a Solana wallet's signMessage signature
+ * @param {string} message - the exact text the wallet signed
+ * @param {string} signature - base64 of the 64-byte signature
+ * @param {string} address - base58 public key
+ * @returns {boolean}
+ */
+function verifySolanaSignature(message, signature, address) {
+    const publicKey = decodeBase58(address);
+    const signatureBytes = typeof signature === 'string' ? Buffer.from(signature, 'base64') : null;
+    if (!publicKey || publicKey.length !== 32 || !signatureBytes || signatureBytes.length !== 64) {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, Buffer.from(message, 'utf8'), key, signatureBytes);
+    } catch (error) {
+        // Not a point on the curve
+        return false;
+    }
+}
+
+// =============================================
+// KECCAK-256 (the pre-standard SHA-3 Ethereum uses)
+// =============================================
+
+const LANE_MASK = (1n << 64n) - 1n;
+const KECCAK_RATE = 136; // bytes absorbed per permutation for a 256-bit output
+const KECCAK_ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+// Rotation of lane x + 5y
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+function rotateLane(lane, bits) {
+    if (bits === 0) return lane;
+    return ((lane << BigInt(bits)) | (lane >> BigInt(64 - bits))) & LANE_MASK;
+}
+
+function keccakPermute(state) {
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+        // Theta
+        const columns = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const mix = columns[(x + 4) % 5] ^ rotateLane(columns[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= mix;
+            }
+        }
+
+        // Rho and pi
+        const moved = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLane(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // Chi and iota
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & LANE_MASK & moved[(x + 2) % 5 + y]);
+            }
+        }
+        state[0] ^= roundConstant;
+    }
+}
+
+/**
+ * @param {Buffer|Uint8Array} data
+ * @returns {Buffer} 32-byte digest
+ */
+function keccak256(data) {
+    // Keccak padding (0x01 ... 0x80), not SHA-3's 0x06
+    const padded = Buffer.alloc((Math.floor(data.length / KECCAK_RATE) + 1) * KECCAK_RATE);
+    padded.set(data);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += KECCAK_RATE) {
+        for (let lane = 0; lane < KECCAK_RATE / 8; lane++) {
+            state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+        }
+        keccakPermute(state);
+    }
+
+    const digest = Buffer.alloc(32);
+    for (let lane = 0; lane < 4; lane++) {
+        digest.writeBigUInt64LE(state[lane], lane * 8);
+    }
+    return digest;
+}
+
+// =============================================
+// SECP256K1 PUBLIC KEY RECOVERY
+// =============================================
+
+const SECP256K1 = {
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+    n: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+    g: {
+        x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+        y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+    }
+};
+
+function mod(value, modulus) {
+    const result = value % modulus;
+    return result >= 0n ? result : result + modulus;
+}
+
+// Extended Euclid; modulus is prime and value non-zero
+function modInverse(value, modulus) {
+    let [a, b] = [mod(value, modulus), modulus];
+    let [x, lastX] = [0n, 1n];
+    while (b !== 0n) {
+        const quotient = a / b;
+        [a, b] = [b, a - quotient * b];
+        [lastX, x] = [x, lastX - quotient * x];
+    }
+    return mod(lastX, modulus);
+}
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base = mod(base, modulus);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+// Affine points; null is the point at infinity
+function addPoints(a, b) {
+    const { p } = SECP256K1;
+    if (!a) return b;
+    if (!b) return a;
+    if (a.x === b.x && mod(a.y + b.y, p) === 0n) return null;
+
+    const slope = a.x === b.x
+        ? mod(3n * a.x * a.x * modInverse(2n * a.y, p), p)
+        : mod((b.y - a.y) * modInverse(b.x - a.x, p), p);
+    const x = mod(slope * slope - a.x - b.x, p);
+    return { x, y: mod(slope * (a.x - x) - a.y, p) };
+}
+
+function multiplyPoint(point, scalar) {
+    let result = null;
+    let addend = point;
+    while (scalar > 0n) {
+        if (scalar & 1n) result = addPoints(result, addend);
+        addend = addPoints(addend, addend);
+        scalar >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * The public key that produced an ECDSA signature over a digest
+ * @param {Buffer} digest - 32-byte message hash
+ * @param {bigint} r
+ * @param {bigint} s
+ * @param {number} recoveryId - 0 or 1: the parity of the signature point's y
+ * @returns {Buffer|null} 65-byte uncompressed key (0x04 || x || y), null for invalid signatures
+ */
+function recoverSecp256k1PublicKey(digest, r, s, recoveryId) {
+    const { p, n, g } = SECP256K1;
+    if (r <= 0n || r >= n || s <= 0n || s >= n || (recoveryId !== 0 && recoveryId !== 1)) {
+        return null;
+    }
+
+    // The signature point has x = r; p = 3 mod 4, so a square root is a single power
+    const ySquared = mod(r * r * r + 7n, p);
+    let y = modPow(ySquared, (p + 1n) / 4n, p);
+    if ((y * y) % p !== ySquared) return null;
+    if (Number(y & 1n) !== recoveryId) y = p - y;
+
+    // Q = r^-1 (sR - eG)
+    const e = mod(BigInt(`0x${digest.toString('hex')}`), n);
+    const rInverse = modInverse(r, n);
+    const publicKey = addPoints(
+        multiplyPoint({ x: r, y }, mod(s * rInverse, n)),
+        multiplyPoint(g, mod(-e * rInverse, n))
+    );
+    if (!publicKey) return null;
+
+    return Buffer.concat([
+        Buffer.from([0x04]),
+        Buffer.from(publicKey.x.toString(16).padStart(64, '0'), 'hex'),
+        Buffer.from(publicKey.y.toString(16).padStart(64, '0'), 'hex')
+    ]);
+}
+
+/**
+ * @param {Buffer} publicKey - 65-byte uncompressed secp256k1 key
+ * @returns {string} lowercase 0x address
+ */
+function ethereumAddress(publicKey) {
+    return `0x${keccak256(publicKey.subarray(1)).subarray(12).toString('hex')}`;
+}
+
+/**
+ * Check a MetaMask personal_sign signature
+ * @param {string} message - the exact text the wallet signed
+ * @param {string} signature - 0x hex of r || s || v (65 bytes)
+ * @param {string} address - 0x address, any letter case
+ * @returns {boolean}
+ */
+function verifyEthereumSignature(message, signature, address) {
+    if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature) || typeof address !== 'string') {
+        return false;
+    }
+
+    const bytes = Buffer.from(signature.slice(2), 'hex');
+    const v = bytes[64];
+    const recoveryId = v >= 27 ? v - 27 : v;
+
+    const text = Buffer.from(message, 'utf8');
+    const digest = keccak256(Buffer.concat([Buffer.from(`\x19Ethereum Signed Message:\n${text.length}`, 'utf8'), text]));
+    const publicKey = recoverSecp256k1PublicKey(
+        digest,
+        BigInt(`0x${bytes.subarray(0, 32).toString('hex')}`),
+        BigInt(`0x${bytes.subarray(32, 64).toString('hex')}`),
+        recoveryId
+    );
+    return publicKey !== null && ethereumAddress(publicKey) === address.toLowerCase();
+}
+
+module.exports = {
+    decodeBase58,
+    verifySolanaSignature,
+    keccak256,
+    recoverSecp256k1PublicKey,
+    ethereumAddress,
+    verifyEthereumSignature
+};
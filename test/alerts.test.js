@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy, createWallet } = require('./harness');
+const { AlertRuleStore, parseAlertRules } = require('../server/alert-rules');
+
+const WALLET = 'solana:7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+function rule(id, overrides = {}) {
+    return {
+        id,
+        token: { key: 'bonk', symbol: 'BONK', section: 'live-markets' },
+        type: 'price_above',
+        threshold: 0.00003,
+        met: null,
+        created_at: '2024-01-15T12:00:00.000Z',
+        ...overrides
+    };
+}
+
+describe('alert rules', () => {
+    it('keeps only valid rules and the fields the dashboard uses', () => {
+        const [parsed] = parseAlertRules([{ ...rule('alr_1'), note: '<script>' }], 50);
+        assert.deepEqual(parsed, rule('alr_1'));
+
+        const invalid = [
+            'nope',
+            [rule('alr_1'), rule('alr_1')],
+            [rule('bad id')],
+            [rule('alr_1', { type: 'moon' })],
+            [rule('alr_1', { threshold: -1 })],
+            [rule('alr_1', { token: { key: 'bonk', symbol: 'x'.repeat(21), section: 'live-markets' } })]
+        ];
+        invalid.forEach(rules => assert.throws(() => parseAlertRules(rules, 50), { code: 'INVALID_ALERT_RULES' }));
+        assert.throws(() => parseAlertRules([rule('alr_1'), rule('alr_2')], 1), /At most 1 rules/);
+    });
+
+    it('keeps the latest rules of each wallet in the file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+        const filePath = path.join(dir, 'alert-rules.jsonl');
+        try {
+            const store = new AlertRuleStore({ filePath });
+            store.set(WALLET, [rule('alr_1')]);
+            store.set(WALLET, [rule('alr_1', { met: true }), rule('alr_2', { type: 'graduated', threshold: null })]);
+            store.set('ethereum:0xabc', [rule('alr_3')]);
+            store.set('ethereum:0xabc', []);
+            await store.flush();
+
+            const reloaded = new AlertRuleStore({ filePath });
+            await reloaded.load();
+            assert.deepEqual(reloaded.stats(), { wallets: 1, rules: 2 });
+            assert.equal(reloaded.get(WALLET)[0].met, true);
+
+            await reloaded.compact();
+            assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('/api/alerts/rules', () => {
+    let harness;
+    const wallet = createWallet();
+
+    function post(pathname, body) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function signIn(signer) {
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: signer.address })).json();
+        const res = await post('/api/auth/verify', { nonce: challenge.nonce, signature: signer.sign(challenge.message) });
+        return (await res.json()).token;
+    }
+
+    function putRules(rules, token) {
+        return harness.request('/api/alerts/rules', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify({ rules })
+        });
+    }
+
+    function getRules(token) {
+        return harness.request('/api/alerts/rules', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    before(async () => { harness = await startProxy({ proxy: { alerts: { maxRules: 2 } } }); });
+    after(() => harness.stop());
+
+    it("keeps each signed-in wallet's rules across sessions", async () => {
+        assert.equal((await getRules()).status, 401);
+        assert.equal((await putRules([rule('alr_1')])).status, 401);
+
+        const token = await signIn(wallet);
+        assert.deepEqual((await (await getRules(token)).json()).rules, []);
+        const saved = await putRules([rule('alr_1'), rule('alr_2', { type: 'change_24h', threshold: 15 })], token);
+        assert.equal(saved.status, 200);
+
+        const { rules } = await (await getRules(await signIn(wallet))).json();
+        assert.deepEqual(rules.map(stored => stored.id), ['alr_1', 'alr_2']);
+        assert.deepEqual((await (await getRules(await signIn(createWallet()))).json()).rules, []);
+    });
+
+    it('rejects invalid rule lists', async () => {
+        const token = await signIn(wallet);
+        const res = await putRules([rule('alr_1'), rule('alr_2'), rule('alr_3')], token);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Invalid alert rules');
+        assert.equal((await putRules([rule('alr_1', { type: 'moon' })], token)).status, 400);
+        assert.equal((await (await getRules(token)).json()).rules.length, 2);
+    });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startProxy, createWallet } = require('./harness');
+const { keccak256, recoverSecp256k1PublicKey, ethereumAddress, verifyEthereumSignature } = require('../server/wallet-signatures');
+const { WalletSessionStore } = require('../server/wallet-sessions');
+
+const MINUTE = 60 * 1000;
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+const ORIGIN = 'http://localhost:3000';
+
+// web3.js documentation example: accounts.sign('Some data', 0x4c0883a6...)
+const WEB3_SIGNATURE = '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c';
+const WEB3_ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+
+describe('ethereum signatures', () => {
+    it('hashes with keccak-256', () => {
+        assert.equal(keccak256(Buffer.alloc(0)).toString('hex'), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+        assert.equal(keccak256(Buffer.from('abc')).toString('hex'), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+    });
+
+    it('recovers the public key of a secp256k1 signature', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+        const expected = publicKey.export({ format: 'der', type: 'spki' }).subarray(-65);
+        // Node signs the SHA-256 of the data
+        const signature = crypto.sign('sha256', Buffer.from('hello'), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+        const digest = crypto.createHash('sha256').update('hello').digest();
+        const r = BigInt(`0x${signature.subarray(0, 32).toString('hex')}`);
+        const s = BigInt(`0x${signature.subarray(32).toString('hex')}`);
+
+        const matches = [0, 1].filter(recoveryId => {
+            const recovered = recoverSecp256k1PublicKey(digest, r, s, recoveryId);
+            return recovered !== null && recovered.equals(expected);
+        });
+        assert.equal(matches.length, 1);
+        assert.equal(recoverSecp256k1PublicKey(digest, 0n, s, 0), null);
+    });
+
+    it('verifies personal_sign signatures against the address', () => {
+        assert.equal(verifyEthereumSignature('Some data', WEB3_SIGNATURE, WEB3_ADDRESS), true);
+        assert.equal(verifyEthereumSignature('Some data', WEB3_SIGNATURE, WEB3_ADDRESS.toLowerCase()), true);
+        assert.equal(verifyEthereumSignature('Some data!', WEB3_SIGNATURE, WEB3_ADDRESS), false);
+        assert.equal(verifyEthereumSignature('Some data', WEB3_SIGNATURE.replace(/1c$/, '1b'), WEB3_ADDRESS), false);
+        assert.equal(verifyEthereumSignature('Some data', '0x1234', WEB3_ADDRESS), false);
+        assert.match(ethereumAddress(Buffer.concat([Buffer.from([4]), Buffer.alloc(64, 1)])), /^0x[0-9a-f]{40}$/);
+    });
+});
+
+describe('WalletSessionStore', () => {
+    const now = Date.parse('2024-01-15T12:00:00Z');
+    const store = () => new WalletSessionStore({ challengeTtlMs: 5 * MINUTE, sessionTtlMs: 60 * MINUTE, maxChallenges: 2 });
+
+    it('binds the challenge to the site and the wallet', () => {
+        const wallet = createWallet();
+        const { message, nonce, expires_at: expiresAt } = store().createChallenge({ chain: 'solana', address: wallet.address, origin: ORIGIN }, now);
+
+        assert.equal(message.split('\n')[0], 'localhost:3000 wants you to sign in with your Solana account:');
+        assert.equal(message.split('\n')[1], wallet.address);
+        assert.match(message, new RegExp(`\nURI: ${ORIGIN}\n`));
+        assert.match(message, new RegExp(`\nNonce: ${nonce}\n`));
+        assert.equal(expiresAt, '2024-01-15T12:05:00.000Z');
+    });
+
+    it('issues a session for a valid signature, once', () => {
+        const sessions = store();
+        const wallet = createWallet();
+        const challenge = sessions.createChallenge({ chain: 'solana', address: wallet.address, origin: ORIGIN }, now);
+        const response = { nonce: challenge.nonce, signature: wallet.sign(challenge.message), origin: ORIGIN };
+
+        const { token, session } = sessions.verifyChallenge(response, now + MINUTE);
+        assert.equal(session.address, wallet.address);
+        assert.equal(session.expires_at, '2024-01-15T13:01:00.000Z');
+        assert.deepEqual(sessions.authenticate(token, now + 2 * MINUTE), session);
+        assert.equal(sessions.authenticate(token, now + 62 * MINUTE), null, 'expired');
+
+        assert.throws(() => sessions.verifyChallenge(response, now + MINUTE), { code: 'UNKNOWN_CHALLENGE' });
+    });
+
+    it('rejects expired challenges, other sites and bad signatures', () => {
+        const sessions = store();
+        const wallet = createWallet();
+        const sign = () => {
+            const challenge = sessions.createChallenge({ chain: 'solana', address: wallet.address, origin: ORIGIN }, now);
+            return { nonce: challenge.nonce, signature: wallet.sign(challenge.message), origin: ORIGIN };
+        };
+
+        assert.throws(() => sessions.verifyChallenge(sign(), now + 6 * MINUTE), { code: 'UNKNOWN_CHALLENGE' });
+        assert.throws(() => sessions.verifyChallenge({ ...sign(), origin: 'http://evil.example' }, now), { code: 'ORIGIN_MISMATCH' });
+        assert.throws(() => sessions.verifyChallenge({ ...sign(), signature: createWallet().sign('x') }, now), { code: 'INVALID_SIGNATURE' });
+        assert.equal(sessions.stats().challenges, 0, 'every attempt uses up its challenge');
+    });
+
+    it('validates the wallet and caps open challenges', () => {
+        const sessions = store();
+        const address = createWallet().address;
+        assert.throws(() => sessions.createChallenge({ chain: 'bitcoin', address, origin: ORIGIN }, now), { code: 'INVALID_SIGN_IN' });
+        assert.throws(() => sessions.createChallenge({ chain: 'ethereum', address, origin: ORIGIN }, now), /Ethereum address/);
+
+        sessions.createChallenge({ chain: 'ethereum', address: WEB3_ADDRESS, origin: ORIGIN }, now);
+        sessions.createChallenge({ chain: 'solana', address, origin: ORIGIN }, now);
+        assert.throws(() => sessions.createChallenge({ chain: 'solana', address, origin: ORIGIN }, now), { code: 'TOO_MANY_CHALLENGES' });
+        assert.doesNotThrow(() => sessions.createChallenge({ chain: 'solana', address, origin: ORIGIN }, now + 6 * MINUTE));
+    });
+
+    it('revokes one session or every session of a wallet', () => {
+        const sessions = new WalletSessionStore({ challengeTtlMs: 5 * MINUTE, sessionTtlMs: 60 * MINUTE, maxChallenges: 10 });
+        const wallet = createWallet();
+        const signIn = () => {
+            const challenge = sessions.createChallenge({ chain: 'solana', address: wallet.address, origin: ORIGIN }, now);
+            return sessions.verifyChallenge({ nonce: challenge.nonce, signature: wallet.sign(challenge.message), origin: ORIGIN }, now).token;
+        };
+
+        const first = signIn();
+        assert.equal(sessions.revoke(first), true);
+        assert.equal(sessions.authenticate(first, now), null);
+
+        signIn();
+        signIn();
+        assert.equal(sessions.revokeWallet('solana', wallet.address), 2);
+        assert.equal(sessions.stats().sessions, 0);
+    });
+});
+
+describe('sign-in routes', () => {
+    let harness;
+    const wallet = createWallet();
+
+    function post(pathname, body, headers = {}) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: ORIGIN, ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function signIn() {
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: wallet.address })).json();
+        return post('/api/auth/verify', { nonce: challenge.nonce, signature: wallet.sign(challenge.message) });
+    }
+
+    function getSession(token) {
+        return harness.request('/api/auth/session', { headers: { Authorization: `Bearer ${token}` } });
+    }
+
+    before(async () => { harness = await startProxy({ proxy: { markets: { adminToken: ADMIN_TOKEN } } }); });
+    after(() => harness.stop());
+
+    it('signs a wallet in and out', async () => {
+        const res = await signIn();
+        assert.equal(res.status, 201);
+
+        const { token, session } = await res.json();
+        assert.equal(session.chain, 'solana');
+        assert.equal(session.origin, ORIGIN);
+
+        const current = await getSession(token);
+        assert.equal(current.status, 200);
+        assert.equal((await current.json()).session.id, session.id);
+
+        const logout = await post('/api/auth/logout', {}, { Authorization: `Bearer ${token}` });
+        assert.equal((await logout.json()).revoked, true);
+        assert.equal((await getSession(token)).status, 401);
+    });
+
+    it('rejects bad challenges and signatures', async () => {
+        assert.equal((await post('/api/auth/challenge', { chain: 'solana', address: 'nope' })).status, 400);
+
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'ethereum', address: WEB3_ADDRESS })).json();
+        assert.match(challenge.message, /sign in with your Ethereum account/);
+        const res = await post('/api/auth/verify', { nonce: challenge.nonce, signature: WEB3_SIGNATURE });
+        assert.equal(res.status, 401);
+        assert.equal((await res.json()).error, 'Invalid signature');
+
+        const replay = await post('/api/auth/verify', { nonce: challenge.nonce, signature: WEB3_SIGNATURE });
+        assert.equal((await replay.json()).error, 'Unknown challenge');
+        assert.equal((await getSession('made-up')).status, 401);
+    });
+
+    it('only signs in pages on the allowed origins', async () => {
+        const foreign = { Origin: 'https://evil.example' };
+        const refused = await post('/api/auth/challenge', { chain: 'solana', address: wallet.address }, foreign);
+        assert.equal(refused.status, 403);
+        assert.equal((await refused.json()).error, 'Forbidden origin');
+
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: wallet.address })).json();
+        const res = await post('/api/auth/verify', { nonce: challenge.nonce, signature: wallet.sign(challenge.message) }, foreign);
+        assert.equal(res.status, 403);
+    });
+
+    it('lets the admin revoke every session of a wallet', async () => {
+        const { token } = await (await signIn()).json();
+
+        assert.equal((await post('/api/auth/revoke', { chain: 'solana', address: wallet.address })).status, 401);
+        const res = await post('/api/auth/revoke', { chain: 'solana', address: wallet.address }, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+        assert.equal((await res.json()).revoked, 1);
+        assert.equal((await getSession(token)).status, 401);
+    });
+});
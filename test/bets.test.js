@@ -0,0 +1,247 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startProxy, createWallet, encodeBase58 } = require('./harness');
+const { orderMessage } = require('../server/bet-orders');
+const { decodeBase58, verifySolanaSignature } = require('../server/wallet-signatures');
+
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+
+describe('wallet signatures', () => {
+    it('round-trips base58, keeping leading zero bytes', () => {
+        const bytes = Buffer.from([0, 0, 1, 2, 255]);
+        assert.deepEqual(decodeBase58(encodeBase58(bytes)), bytes);
+        assert.equal(decodeBase58('0OIl'), null);
+    });
+
+    it('verifies ed25519 signatures against the address', () => {
+        const wallet = createWallet();
+        const other = createWallet();
+        assert.equal(verifySolanaSignature('hello', wallet.sign('hello'), wallet.address), true);
+        assert.equal(verifySolanaSignature('hello!', wallet.sign('hello'), wallet.address), false);
+        assert.equal(verifySolanaSignature('hello', wallet.sign('hello'), other.address), false);
+        assert.equal(verifySolanaSignature('hello', 'c2hvcnQ=', wallet.address), false);
+    });
+});
+
+describe('POST /api/markets/:id/bets', () => {
+    let harness;
+    let market;
+    const wallet = createWallet();
+
+    function signedOrder(overrides = {}) {
+        const order = {
+            market_id: market.id,
+            side: 'yes',
+            amount: 1,
+            max_price: 0.6,
+            nonce: crypto.randomBytes(12).toString('hex'),
+            expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+            wallet: wallet.address,
+            ...overrides
+        };
+        return { order, signature: wallet.sign(orderMessage(order)) };
+    }
+
+    function postBet(body, marketId = market.id) {
+        return harness.request(`/api/markets/${marketId}/bets`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    before(async () => {
+        harness = await startProxy({ proxy: { markets: { file: null, minStake: 0.1, maxStake: 10, adminToken: ADMIN_TOKEN } } });
+        const res = await harness.request('/api/markets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+            body: JSON.stringify({
+                token: { id: 'bonk', symbol: 'bonk', name: 'Bonk' },
+                question: 'Will $BONK pump +25% in the next 48 hours?',
+                resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+                expires_at: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString()
+            })
+        });
+        market = (await res.json()).market;
+    });
+    after(() => harness.stop());
+
+    it('fills a signed order and returns a receipt', async () => {
+        const res = await postBet(signedOrder());
+        assert.equal(res.status, 201);
+
+        const { bet, market: updated } = await res.json();
+        assert.match(bet.id, /^bet_[0-9a-f]{16}$/);
+        assert.equal(bet.market_id, market.id);
+        assert.equal(bet.wallet, wallet.address);
+        assert.equal(bet.status, 'open');
+        assert.ok(bet.fill_price > 0.5 && bet.fill_price <= 0.6);
+        assert.ok(Math.abs(bet.shares * bet.fill_price - 1) < 1e-9);
+        assert.deepEqual(updated.pools, { yes: 1, no: 0 });
+        assert.ok(updated.prices.yes > 0.5);
+    });
+
+    it('rejects a replayed order', async () => {
+        const body = signedOrder({ side: 'no', max_price: 0.9 });
+        assert.equal((await postBet(body)).status, 201);
+
+        const res = await postBet(body);
+        assert.equal(res.status, 409);
+        assert.equal((await res.json()).error, 'Order already used');
+    });
+
+    it('rejects signatures that do not match the order', async () => {
+        const { order, signature } = signedOrder();
+        const res = await postBet({ order: { ...order, amount: 5 }, signature });
+        assert.equal(res.status, 401);
+
+        const impostor = createWallet();
+        const forged = { ...order, wallet: impostor.address };
+        assert.equal((await postBet({ order: forged, signature })).status, 401);
+    });
+
+    it('rejects expired orders', async () => {
+        const res = await postBet(signedOrder({ expires_at: new Date(Date.now() - 1000).toISOString() }));
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Order expired');
+    });
+
+    it('validates the order', async () => {
+        const cases = [
+            [signedOrder({ amount: 0.05 }), /between 0.1 and 10 SOL/],
+            [signedOrder({ amount: 11 }), /between 0.1 and 10 SOL/],
+            [signedOrder({ side: 'maybe' }), /order.side/],
+            [signedOrder({ max_price: 1 }), /order.max_price/],
+            [signedOrder({ nonce: 'short' }), /order.nonce/],
+            [signedOrder({ wallet: '0x52908400098527886E0F7030069857D2E4169EE7' }), /Solana address/],
+            [signedOrder({ expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() }), /within 10 minutes/],
+            [signedOrder({ market_id: 'mkt_0000000000000000' }), /does not match/],
+            [{ order: signedOrder().order }, /signature/]
+        ];
+        for (const [body, message] of cases) {
+            const res = await postBet(body);
+            assert.equal(res.status, 400);
+            assert.match((await res.json()).message, message);
+        }
+    });
+
+    it('refuses to fill above the max price', async () => {
+        const res = await postBet(signedOrder({ max_price: 0.01 }));
+        assert.equal(res.status, 409);
+        assert.match((await res.json()).message, /above your limit of 1\.0¢/);
+    });
+
+    it('answers 404 for unknown markets', async () => {
+        assert.equal((await postBet(signedOrder(), 'mkt_0000000000000000')).status, 404);
+    });
+
+    it('counts bets in health', async () => {
+        const health = await (await harness.request('/health')).json();
+        assert.equal(health.markets.bets, 2);
+    });
+});
+
+describe('GET /api/bets', () => {
+    let harness;
+    let session;
+    const wallet = createWallet();
+
+    function post(pathname, body) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function createMarket(token) {
+        const res = await post('/api/markets', {
+            token,
+            question: `Will $${token.symbol.toUpperCase()} pump +25% in the next 48 hours?`,
+            resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+            expires_at: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString()
+        });
+        return (await res.json()).market;
+    }
+
+    async function bet(market, side) {
+        const order = {
+            market_id: market.id,
+            side,
+            amount: 2,
+            max_price: 0.9,
+            nonce: crypto.randomBytes(12).toString('hex'),
+            expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+            wallet: wallet.address
+        };
+        const res = await post(`/api/markets/${market.id}/bets`, { order, signature: wallet.sign(orderMessage(order)) });
+        return (await res.json()).bet;
+    }
+
+    async function signIn(signer) {
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: signer.address })).json();
+        const res = await post('/api/auth/verify', { nonce: challenge.nonce, signature: signer.sign(challenge.message) });
+        return (await res.json()).token;
+    }
+
+    function getBets(query, token = session) {
+        return harness.request(`/api/bets?${new URLSearchParams(query)}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    before(async () => {
+        harness = await startProxy({ proxy: { markets: { adminToken: ADMIN_TOKEN } } });
+        const bonk = await createMarket({ id: 'bonk', symbol: 'bonk', name: 'Bonk' });
+        const popcat = await createMarket({ id: 'popcat', symbol: 'popcat', name: 'Popcat' });
+        await bet(bonk, 'yes');
+        await bet(popcat, 'no');
+        await post(`/api/markets/${popcat.id}/void`, { reason: 'Question was ambiguous' });
+        session = await signIn(wallet);
+    });
+    after(() => harness.stop());
+
+    it("lists the signed-in wallet's positions newest first with their value", async () => {
+        const res = await getBets({});
+        assert.equal(res.status, 200);
+
+        const { count, bets } = await res.json();
+        assert.equal(count, 2);
+
+        const [refunded, open] = bets;
+        assert.equal(refunded.status, 'voided');
+        assert.equal(refunded.market.status, 'voided');
+        assert.equal(refunded.value, 2);
+        assert.equal(refunded.realized_pnl, 0);
+        assert.equal(refunded.unrealized_pnl, null);
+
+        assert.equal(open.status, 'open');
+        assert.equal(open.market.question, 'Will $BONK pump +25% in the next 48 hours?');
+        assert.ok(open.mark_price > open.fill_price, 'buying moves the price past the average fill');
+        assert.ok(Math.abs(open.value - open.shares * open.mark_price) < 1e-9);
+        assert.ok(Math.abs(open.unrealized_pnl - (open.value - 2)) < 1e-9);
+        assert.equal(open.signature, undefined);
+        assert.equal(open.nonce, undefined);
+    });
+
+    it('filters by status', async () => {
+        const open = await (await getBets({ wallet: wallet.address, status: 'open' })).json();
+        assert.deepEqual(open.bets.map(position => position.status), ['open']);
+
+        const won = await (await getBets({ wallet: wallet.address, status: 'won' })).json();
+        assert.equal(won.count, 0);
+
+        const stranger = await (await getBets({}, await signIn(createWallet()))).json();
+        assert.equal(stranger.count, 0);
+    });
+
+    it("only serves the signed-in wallet's positions", async () => {
+        assert.equal((await getBets({ wallet: wallet.address }, null)).status, 401);
+        assert.equal((await getBets({}, 'not-a-session')).status, 401);
+        assert.equal((await getBets({ wallet: wallet.address }, await signIn(createWallet()))).status, 403);
+    });
+
+    it('validates the query', async () => {
+        assert.equal((await getBets({ wallet: wallet.address, status: 'pending' })).status, 400);
+        assert.equal((await getBets({ wallet: wallet.address, market: 'x' })).status, 400);
+    });
+});
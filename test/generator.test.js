@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./harness');
+const { loadConfig } = require('../server/config');
+const { MarketStore, parseMarketInput } = require('../server/market-store');
+const { MarketGenerator, screenCoins } = require('../server/market-generator');
+
+const HOUR = 60 * 60 * 1000;
+const SCREENING = loadConfig({ env: {}, argv: [] }).markets.screening;
+
+function coin(id, overrides = {}) {
+    return {
+        id,
+        symbol: id.slice(0, 4),
+        name: id,
+        current_price: 1,
+        market_cap: 50000000,
+        total_volume: 5000000,
+        price_change_percentage_24h: 6,
+        ...overrides
+    };
+}
+
+function openMarket(store, token) {
+    const input = parseMarketInput({
+        token: { id: token.id, symbol: token.symbol, name: token.name },
+        question: `Will $${token.symbol.toUpperCase()} pump +10% in the next 24 hours?`,
+        resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 10 },
+        expires_at: new Date(Date.now() + 24 * HOUR).toISOString()
+    }, { maxDurationMs: 90 * 24 * HOUR });
+    return store.create(input, { price: 1, market_cap: 1, volume_24h: 1, recorded_at: new Date().toISOString() });
+}
+
+describe('market generator', () => {
+    it('screens out stablecoins, calm, small and illiquid coins', () => {
+        const coins = [
+            coin('usd-coin', { symbol: 'usdc', name: 'USDC' }),
+            coin('calm', { price_change_percentage_24h: 0.4 }),
+            coin('tiny', { market_cap: 200000 }),
+            coin('thin', { total_volume: 5000 }),
+            coin('bonk', { total_volume: 9000000 }),
+            coin('raydium', { price_change_percentage_24h: -8 }),
+            coin('bonk')
+        ];
+        assert.deepEqual(screenCoins(coins, 10, SCREENING).map(screened => screened.id), ['bonk', 'raydium']);
+        assert.deepEqual(screenCoins(coins, 1, SCREENING).map(screened => screened.id), ['bonk']);
+    });
+
+    it('takes its thresholds and stablecoin keywords from the config', () => {
+        const { screening } = loadConfig({
+            env: { MARKETS_SCREEN_MIN_VOLUME: '1000', MARKETS_SCREEN_STABLECOIN_KEYWORDS: 'usd, calm' },
+            argv: []
+        }).markets;
+        assert.deepEqual(screening.stablecoinKeywords, ['usd', 'calm']);
+
+        const coins = [coin('usd-coin', { symbol: 'usdc', name: 'USDC' }), coin('calm'), coin('thin', { total_volume: 5000 })];
+        assert.deepEqual(screenCoins(coins, 10, screening).map(screened => screened.id), ['thin']);
+        assert.throws(() => loadConfig({ env: { MARKETS_SCREEN_MIN_VOLUME: '-1' }, argv: [] }), { code: 'INVALID_CONFIG' });
+    });
+
+    it('opens a market on each screened coin without one', async () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        openMarket(store, coin('bonk'));
+        const opened = [];
+        const generator = new MarketGenerator({
+            marketStore: store,
+            loadCandidates: async () => ({ coins: [coin('bonk'), coin('raydium'), coin('orca')], recordedAt: Date.now() }),
+            openMarket: async candidate => {
+                opened.push(candidate.id);
+                return candidate.id === 'orca' ? null : openMarket(store, candidate);
+            },
+            count: 10,
+            screening: SCREENING
+        });
+
+        const result = await generator.run();
+        assert.deepEqual(opened, ['raydium', 'orca']);
+        assert.equal(result.created.length, 1);
+        assert.deepEqual(result.skipped, ['bonk', 'orca']);
+
+        opened.length = 0;
+        assert.deepEqual((await generator.run()).created, []);
+        assert.deepEqual(opened, ['orca']);
+    });
+
+    it('stops opening markets once the upstream budget runs out', async () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const opened = [];
+        const generator = new MarketGenerator({
+            marketStore: store,
+            loadCandidates: async () => ({ coins: [coin('bonk'), coin('raydium'), coin('orca')], recordedAt: Date.now() }),
+            openMarket: async candidate => {
+                opened.push(candidate.id);
+                const error = new Error(candidate.id === 'bonk' ? 'Bad template' : 'CoinGecko rate budget exhausted');
+                error.code = candidate.id === 'bonk' ? 'INVALID_MARKET' : 'BUDGET_EXHAUSTED';
+                throw error;
+            },
+            count: 10,
+            screening: SCREENING
+        });
+
+        const result = await generator.run();
+        assert.deepEqual(result.failed, ['bonk']);
+        assert.equal(opened.length, 2);
+        assert.equal(store.list({ status: 'open' }).length, 0);
+    });
+});
+
+describe('GET /api/markets/screening', () => {
+    let harness;
+
+    before(async () => { harness = await startProxy({ proxy: { markets: { generateCount: 3, screening: { minVolume: 5000 } } } }); });
+    after(() => harness.stop());
+
+    it("serves the generator's screen to the dashboard", async () => {
+        const res = await harness.request('/api/markets/screening');
+        assert.equal(res.status, 200);
+
+        const { screening, count } = await res.json();
+        assert.equal(count, 3);
+        assert.equal(screening.minVolume, 5000);
+        assert.equal(screening.minChangePct, SCREENING.minChangePct);
+        assert.ok(screening.stablecoinKeywords.includes('usdc'));
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Test harness: the proxy app in-process, pointed at a local fixture upstream
+ */
+
+// Keep request logs out of the test output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProxyApp } = require('../server/app');
+const { createFixtureUpstream } = require('../server/fixture-upstream');
+const { fixtureFileName } = require('../server/upstream-fixtures');
+
+/**
+ * Start a fixture upstream and a proxy using it
+ * @param {Object} [options]
+ * @param {Object} [options.upstream] - createFixtureUpstream() options
+ * @param {Object} [options.proxy] - config overrides, merged over the test defaults per section
+ * @returns {Promise<{baseUrl: string, upstreamUrl: string, upstream: Object, proxy: Object, request: Function, stop: Function}>}
+ */
+async function startProxy(options = {}) {
+    const upstream = createFixtureUpstream(options.upstream);
+    const upstreamUrl = await upstream.start();
+    const overrides = options.proxy || {};
+
+    const proxy = createProxyApp({
+        ...overrides,
+        port: 0,
+        host: '127.0.0.1',
+        // No caching by default, so every request reaches the upstream
+        cache: { ttlMs: 0, staleTtlMs: 0, ...overrides.cache },
+        rateLimit: { enabled: false, ...overrides.rateLimit },
+        snapshots: { file: null, ...overrides.snapshots },
+        markets: { file: null, historyFile: null, resolveIntervalMs: 0, generateIntervalMs: 0, ...overrides.markets },
+        alerts: { file: null, ...overrides.alerts },
+        upstream: {
+            endpoints: [`${upstreamUrl}/coins/trending`, `${upstreamUrl}/coins`],
+            timeoutMs: 1000,
+            ...overrides.upstream
+        },
+        coingecko: { baseUrl: `${upstreamUrl}/api/v3`, ...overrides.coingecko }
+    });
+
+    const server = await proxy.start();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        upstreamUrl,
+        upstream,
+        proxy,
+        request: (pathname, init) => fetch(`${baseUrl}${pathname}`, init),
+        stop: async () => {
+            await proxy.stop();
+            await upstream.stop();
+        }
+    };
+}
+
+/**
+ * Write a throwaway fixture directory (a 'default' scenario) for payloads the shipped fixtures don't cover
+ * @param {Object} responses - path -> response body, e.g. { '/coins/trending': { coins: [...] } }
+ * @returns {string} directory to pass as the upstream's dir option
+ */
+function writeFixtureDir(responses) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pump-fixtures-'));
+    const scenarioDir = path.join(dir, 'default');
+    fs.mkdirSync(scenarioDir);
+
+    Object.entries(responses).forEach(([pathname, body]) => {
+        const fixture = { request: { method: 'GET', path: pathname, query: {} }, response: { status: 200, body } };
+        fs.writeFileSync(path.join(scenarioDir, fixtureFileName(`http://fixture${pathname}`)), JSON.stringify(fixture));
+    });
+    return dir;
+}
+
+// Upstreams are labelled by host and path in /health and the logs
+function upstreamLabel(url) {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname}`;
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// The inverse of the proxy's decodeBase58, for making Solana addresses
+function encodeBase58(bytes) {
+    let number = BigInt(`0x${bytes.toString('hex')}`);
+    let text = '';
+    while (number > 0n) {
+        text = BASE58_ALPHABET[Number(number % 58n)] + text;
+        number /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        text = `1${text}`;
+    }
+    return text;
+}
+
+// A throwaway Solana wallet: an ed25519 key whose base58 public key is the address
+function createWallet() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(12);
+    return {
+        address: encodeBase58(raw),
+        sign: message => crypto.sign(null, Buffer.from(message, 'utf8'), privateKey).toString('base64')
+    };
+}
+
+module.exports = { startProxy, writeFixtureDir, upstreamLabel, encodeBase58, createWallet };
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lmsrCost, lmsrPrices, quoteBuy } = require('../server/lmsr');
+
+const B = 100;
+const EMPTY = { yes: 0, no: 0 };
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} should be within ${tolerance} of ${expected}`);
+}
+
+describe('LMSR', () => {
+    it('prices a new market at even odds', () => {
+        assert.deepEqual(lmsrPrices(EMPTY, B), { yes: 0.5, no: 0.5 });
+        near(lmsrCost(EMPTY, B), B * Math.log(2));
+    });
+
+    it('charges exactly the amount spent', () => {
+        const quote = quoteBuy(EMPTY, B, 'yes', 10);
+        near(lmsrCost(quote.shares_after, B) - lmsrCost(EMPTY, B), 10);
+        near(quote.average_price, 10 / quote.shares);
+        assert.equal(quote.payout, quote.shares);
+    });
+
+    it('moves the price towards the side bought, more for bigger buys', () => {
+        const small = quoteBuy(EMPTY, B, 'no', 1);
+        const large = quoteBuy(EMPTY, B, 'no', 50);
+
+        assert.ok(small.price_after > 0.5 && large.price_after > small.price_after);
+        assert.ok(large.slippage > small.slippage && small.slippage > 0);
+        // Average fill sits between the price before and after
+        assert.ok(large.average_price > large.price_before && large.average_price < large.price_after);
+    });
+
+    it('is symmetric between outcomes', () => {
+        const yes = quoteBuy(EMPTY, B, 'yes', 7);
+        const no = quoteBuy(EMPTY, B, 'no', 7);
+        near(yes.shares, no.shares);
+        near(lmsrPrices(yes.shares_after, B).yes, lmsrPrices(no.shares_after, B).no);
+    });
+
+    it('stays finite with large outstanding shares', () => {
+        const shares = { yes: 50000, no: 0 };
+        const prices = lmsrPrices(shares, B);
+        assert.ok(Number.isFinite(lmsrCost(shares, B)));
+        assert.ok(prices.no > 0);
+
+        const quote = quoteBuy(shares, B, 'no', 1);
+        assert.ok(Number.isFinite(quote.shares) && quote.shares > 0);
+    });
+
+    it('rejects unknown sides and non-positive amounts', () => {
+        assert.throws(() => quoteBuy(EMPTY, B, 'maybe', 1), /side must be one of/);
+        assert.throws(() => quoteBuy(EMPTY, B, 'yes', 0), /amount must be greater than 0/);
+    });
+});
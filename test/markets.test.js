@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./harness');
+const { MarketStore, parseMarketInput, describeMarket } = require('../server/market-store');
+
+const HOUR = 60 * 60 * 1000;
+
+function marketBody(overrides = {}) {
+    return {
+        token: { id: 'bonk', symbol: 'bonk', name: 'Bonk', image: 'https://assets.coingecko.com/bonk.png' },
+        question: 'Will $BONK pump +25% in the next 48 hours?',
+        resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+        expires_at: new Date(Date.now() + 48 * HOUR).toISOString(),
+        ...overrides
+    };
+}
+
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+
+function postMarket(harness, body, headers = { Authorization: `Bearer ${ADMIN_TOKEN}` }) {
+    return harness.request('/api/markets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+describe('/api/markets', () => {
+    let harness;
+    let created;
+    before(async () => { harness = await startProxy({ proxy: { markets: { adminToken: ADMIN_TOKEN } } }); });
+    after(() => harness.stop());
+
+    it('creates a market with a baseline from market data', async () => {
+        const res = await postMarket(harness, marketBody());
+        assert.equal(res.status, 201);
+
+        created = (await res.json()).market;
+        assert.match(created.id, /^mkt_[0-9a-f]{16}$/);
+        assert.equal(created.status, 'open');
+        assert.equal(created.outcome, null);
+        assert.deepEqual(created.pools, { yes: 0, no: 0 });
+        assert.deepEqual(created.prices, { yes: 0.5, no: 0.5 });
+        assert.equal(created.token.source, 'coingecko');
+        assert.equal(created.resolution.baseline.price, 2.31e-05);
+        assert.equal(created.resolution.threshold, 25);
+    });
+
+    it('only lets admins ask their own questions', async () => {
+        const res = await postMarket(harness, marketBody({ question: 'Will $BONK dump -25% in the next 48 hours?' }), {});
+        assert.equal(res.status, 401);
+        assert.equal((await harness.request('/api/markets?token=bonk')).status, 200);
+        assert.equal((await (await harness.request('/api/markets?token=bonk')).json()).count, 1);
+    });
+
+    it('takes the token symbol, name and image from market data, not the body', async () => {
+        const res = await postMarket(harness, marketBody({
+            token: { id: 'dogwifcoin', symbol: '<b>WIF</b>', name: '<img src=x onerror=alert(1)>', image: 'https://evil.example/x.png' },
+            question: 'Will $WIF pump +25% in the next 48 hours?'
+        }));
+        assert.equal(res.status, 201);
+
+        const { token } = (await res.json()).market;
+        assert.deepEqual(token, {
+            id: 'dogwifcoin',
+            source: 'coingecko',
+            symbol: 'wif',
+            name: 'dogwifhat',
+            image: 'https://assets.coingecko.com/coins/images/48/large/dogwifcoin.png'
+        });
+
+        const idOnly = await postMarket(harness, marketBody({ token: { id: 'popcat' }, question: 'Will $POPCAT pump +25% in the next 48 hours?' }));
+        assert.equal(idOnly.status, 201);
+        assert.equal((await idOnly.json()).market.token.symbol, 'popcat');
+    });
+
+    it('lists and fetches markets', async () => {
+        const list = await (await harness.request('/api/markets?status=open&token=bonk')).json();
+        assert.deepEqual(list.markets.map(market => market.id), [created.id]);
+
+        const empty = await (await harness.request('/api/markets?token=solana')).json();
+        assert.equal(empty.count, 0);
+
+        const one = await (await harness.request(`/api/markets/${created.id}`)).json();
+        assert.equal(one.market.question, created.question);
+    });
+
+    it('answers 404 for unknown markets', async () => {
+        const res = await harness.request('/api/markets/mkt_0000000000000000');
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).error, 'Market not found');
+    });
+
+    it('rejects a second open market asking the same question', async () => {
+        const res = await postMarket(harness, marketBody({ question: created.question.toUpperCase() }));
+        assert.equal(res.status, 409);
+        assert.match((await res.json()).message, new RegExp(created.id));
+    });
+
+    it('rejects tokens without market data', async () => {
+        const res = await postMarket(harness, marketBody({ token: { id: 'not-listed', symbol: 'nl', name: 'Not Listed' } }));
+        assert.equal(res.status, 422);
+    });
+
+    it('validates the body', async () => {
+        const cases = [
+            [marketBody({ resolution: { metric: 'vibes', comparator: 'gte', threshold: 1 } }), /resolution.metric/],
+            [marketBody({ resolution: { metric: 'price', comparator: '>=', threshold: 1 } }), /resolution.comparator/],
+            [marketBody({ expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString() }), /expires_at/],
+            [marketBody({ question: 'Moon?' }), /question/],
+            [marketBody({ token: { id: 'Bonk!', symbol: 'bonk', name: 'Bonk' } }), /CoinGecko id/]
+        ];
+        for (const [body, message] of cases) {
+            const res = await postMarket(harness, body);
+            assert.equal(res.status, 400);
+            assert.match((await res.json()).message, message);
+        }
+
+        const res = await postMarket(harness, '{"token":');
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Invalid request body');
+    });
+
+    it('rejects unknown query parameters and statuses', async () => {
+        assert.equal((await harness.request('/api/markets?state=open')).status, 400);
+        assert.equal((await harness.request('/api/markets?status=closed')).status, 400);
+    });
+
+    it('quotes a buy from the market maker', async () => {
+        const res = await harness.request(`/api/markets/${created.id}/quote?side=yes&amount=10`);
+        assert.equal(res.status, 200);
+
+        const { quote, prices } = await res.json();
+        assert.equal(quote.side, 'yes');
+        assert.equal(quote.price_before, 0.5);
+        assert.ok(quote.price_after > 0.5);
+        assert.ok(quote.average_price > 0.5 && quote.average_price < quote.price_after);
+        assert.ok(quote.slippage > 0);
+        assert.equal(quote.payout, quote.shares);
+        assert.equal(quote.shares_after, undefined);
+        assert.deepEqual(prices, { yes: 0.5, no: 0.5 });
+    });
+
+    it('rejects bad quote parameters', async () => {
+        assert.equal((await harness.request(`/api/markets/${created.id}/quote?side=maybe&amount=1`)).status, 400);
+        assert.equal((await harness.request(`/api/markets/${created.id}/quote?side=no&amount=0`)).status, 400);
+        assert.equal((await harness.request(`/api/markets/${created.id}/quote?side=no`)).status, 400);
+        assert.equal((await harness.request('/api/markets/mkt_0000000000000000/quote?side=no&amount=1')).status, 404);
+    });
+
+    it('only allows POST on the collection', async () => {
+        assert.equal((await harness.request(`/api/markets/${created.id}`, { method: 'POST' })).status, 405);
+        assert.equal((await harness.request('/api/markets', { method: 'DELETE' })).status, 405);
+    });
+});
+
+describe('MarketStore', () => {
+    const input = parseMarketInput(marketBody(), { maxDurationMs: 90 * 24 * HOUR });
+    const baseline = { price: 1, market_cap: 100, volume_24h: 10, recorded_at: new Date().toISOString() };
+
+    it('locks open markets once they expire', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = store.create(input, baseline);
+
+        assert.equal(store.lockExpired(Date.parse(market.expires_at) - 1).length, 0);
+        assert.equal(store.lockExpired(Date.parse(market.expires_at)).length, 1);
+        assert.equal(store.get(market.id).status, 'locked');
+        assert.equal(store.findOpenDuplicate(input), null);
+    });
+
+    it('moves prices and pools with each trade', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = store.create(input, baseline);
+
+        const quoted = store.quote(market.id, 'no', 5);
+        const { market: afterNo, quote } = store.trade(market.id, 'no', 5);
+        assert.equal(quote.shares, quoted.shares);
+        assert.deepEqual(afterNo.pools, { yes: 0, no: 5 });
+        assert.ok(describeMarket(afterNo).prices.no > 0.5);
+
+        const { market: afterYes } = store.trade(market.id, 'yes', 5);
+        assert.ok(describeMarket(afterYes).prices.yes > 0.5, 'the same stake buys more of the cheaper side');
+        assert.ok(Math.abs(describeMarket(afterYes).prices.yes + describeMarket(afterYes).prices.no - 1) < 1e-12);
+
+        store.lockExpired(Date.parse(market.expires_at));
+        assert.throws(() => store.trade(market.id, 'yes', 1), { code: 'MARKET_CLOSED' });
+    });
+
+    describe('persistence', () => {
+        let dir;
+        before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markets-')); });
+        after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        it('reloads the latest record of each market from the journal', async () => {
+            const filePath = path.join(dir, 'markets.jsonl');
+            const store = new MarketStore({ filePath, liquidity: 100 });
+            const market = store.create(input, baseline);
+            store.update(market.id, { pools: { yes: 3, no: 1 } });
+            await store.flush();
+
+            const reloaded = new MarketStore({ filePath, liquidity: 100 });
+            await reloaded.load();
+            assert.deepEqual(reloaded.get(market.id).pools, { yes: 3, no: 1 });
+            assert.equal(reloaded.stats().journal_lines, 2);
+
+            await reloaded.compact();
+            assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+        });
+
+        it('remembers bets and their nonces across restarts', async () => {
+            const filePath = path.join(dir, 'bets.jsonl');
+            const store = new MarketStore({ filePath, liquidity: 100 });
+            const market = store.create(input, baseline);
+            const order = {
+                market_id: market.id,
+                side: 'yes',
+                amount: 2,
+                max_price: 0.9,
+                nonce: 'a'.repeat(16),
+                expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+                wallet: 'wallet'
+            };
+            const { bet } = store.placeBet(order, 'signature');
+            await store.flush();
+
+            const reloaded = new MarketStore({ filePath, liquidity: 100 });
+            await reloaded.load();
+            assert.deepEqual(reloaded.bets.get(bet.id), bet);
+            assert.deepEqual(reloaded.get(market.id).pools, { yes: 2, no: 0 });
+            assert.throws(() => reloaded.placeBet(order, 'signature'), { code: 'ORDER_REPLAYED' });
+
+            await reloaded.compact();
+            assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+        });
+    });
+});
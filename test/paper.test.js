@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startProxy } = require('./harness');
+const { MarketStore, parseMarketInput, marketPrices } = require('../server/market-store');
+
+const HOUR = 60 * 60 * 1000;
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+const CREATED_AT = Date.parse('2024-01-15T12:00:00Z');
+const EXPIRES_AT = Date.parse('2024-01-17T12:00:00Z');
+
+function createMarket(store, tokenId) {
+    const input = parseMarketInput({
+        token: { id: tokenId, symbol: tokenId.slice(0, 4), name: tokenId },
+        question: `Will $${tokenId.toUpperCase()} pump +25% by Jan 17?`,
+        resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+        expires_at: new Date(EXPIRES_AT).toISOString()
+    }, { maxDurationMs: 90 * 24 * HOUR, now: CREATED_AT });
+    return store.create(input, { price: 1, market_cap: 1, volume_24h: 1, recorded_at: new Date(CREATED_AT).toISOString() }, CREATED_AT);
+}
+
+function paperOrder(market, side, amount) {
+    return { market_id: market.id, side, amount, max_price: 0.99 };
+}
+
+describe('paper trading in the market store', () => {
+    it('fills at the market price without moving it', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = createMarket(store, 'bonk');
+        const { account, key } = store.openPaperAccount(100, CREATED_AT);
+        assert.equal(store.getPaperAccount(key).id, account.id);
+        assert.equal(store.getPaperAccount('made-up'), null);
+
+        const quote = store.quote(market.id, 'yes', 10);
+        const bet = store.placePaperBet(account, paperOrder(market, 'yes', 10), CREATED_AT);
+        assert.equal(bet.mode, 'paper');
+        assert.equal(bet.wallet, null);
+        assert.equal(bet.fill_price, quote.average_price);
+        assert.equal(bet.shares, quote.shares);
+
+        const after = store.get(market.id);
+        assert.deepEqual(after.pools, { yes: 0, no: 0 });
+        assert.deepEqual(marketPrices(after), { yes: 0.5, no: 0.5 });
+        assert.equal(store.paperBalance(account), 90);
+        assert.deepEqual([store.stats().bets, store.stats().paper_bets], [0, 1]);
+    });
+
+    it('pays out through resolution and refuses bets above the balance', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = createMarket(store, 'bonk');
+        const { account } = store.openPaperAccount(5, CREATED_AT);
+        const bet = store.placePaperBet(account, paperOrder(market, 'yes', 4), CREATED_AT);
+        assert.throws(() => store.placePaperBet(account, paperOrder(market, 'no', 2), CREATED_AT), { code: 'INSUFFICIENT_BALANCE' });
+
+        store.lockExpired(EXPIRES_AT);
+        store.resolve(market.id, 'yes', { method: 'auto', actor: 'resolution-engine' }, EXPIRES_AT);
+        const [settled] = store.getPaperBets(account);
+        assert.equal(settled.status, 'won');
+        assert.equal(store.paperBalance(account), 1 + bet.shares);
+    });
+
+    it('starts over on reset', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = createMarket(store, 'bonk');
+        const { account } = store.openPaperAccount(100, CREATED_AT);
+        store.placePaperBet(account, paperOrder(market, 'no', 30), CREATED_AT);
+
+        const reset = store.resetPaperAccount(account.id, CREATED_AT + HOUR);
+        assert.equal(store.paperBalance(reset), 100);
+        assert.deepEqual(store.getPaperBets(reset), []);
+        assert.equal(store.getBets({ paperAccount: account.id }).length, 1, 'earlier bets are kept and still settle');
+    });
+
+    it('keeps accounts and paper bets in the journal', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+        const filePath = path.join(dir, 'markets.jsonl');
+        try {
+            const store = new MarketStore({ filePath, liquidity: 100 });
+            const market = createMarket(store, 'bonk');
+            const { account, key } = store.openPaperAccount(100, CREATED_AT);
+            store.placePaperBet(account, paperOrder(market, 'yes', 10), CREATED_AT);
+            store.resetPaperAccount(account.id, CREATED_AT + HOUR);
+            store.placePaperBet(store.getPaperAccount(key), paperOrder(market, 'no', 25), CREATED_AT + HOUR);
+            await store.flush();
+
+            const reloaded = new MarketStore({ filePath, liquidity: 100 });
+            await reloaded.load();
+            const restored = reloaded.getPaperAccount(key);
+            assert.equal(restored.epoch, 2);
+            assert.equal(reloaded.paperBalance(restored), 75);
+            assert.equal(reloaded.stats().paper_bets, 2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('forgets accounts that never bet once they expire', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+        const filePath = path.join(dir, 'markets.jsonl');
+        try {
+            const store = new MarketStore({ filePath, liquidity: 100 });
+            const market = createMarket(store, 'bonk');
+            const used = store.openPaperAccount(100, CREATED_AT);
+            const unused = store.openPaperAccount(100, CREATED_AT);
+            const recent = store.openPaperAccount(100, CREATED_AT + 20 * HOUR);
+            store.placePaperBet(used.account, paperOrder(market, 'yes', 10), CREATED_AT);
+
+            assert.equal(store.pruneUnusedPaperAccounts(24 * HOUR, CREATED_AT + 25 * HOUR), 1);
+            assert.equal(store.getPaperAccount(unused.key), null);
+            assert.equal(store.getPaperAccount(used.key).id, used.account.id);
+            assert.equal(store.getPaperAccount(recent.key).id, recent.account.id);
+
+            await store.compact();
+            const reloaded = new MarketStore({ filePath, liquidity: 100 });
+            await reloaded.load();
+            assert.equal(reloaded.stats().paper_accounts, 2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('paper trading routes', () => {
+    let harness;
+    let market;
+
+    function post(pathname, body, key) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function openAccount() {
+        const res = await post('/api/paper/accounts', {});
+        assert.equal(res.status, 201);
+        return res.json();
+    }
+
+    before(async () => {
+        harness = await startProxy({ proxy: { markets: { paperBalance: 50, maxStake: 50, adminToken: ADMIN_TOKEN } } });
+        const res = await post('/api/markets', {
+            token: { id: 'bonk', symbol: 'bonk', name: 'Bonk' },
+            question: 'Will $BONK pump +25% in the next 48 hours?',
+            resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+            expires_at: new Date(Date.now() + 48 * HOUR).toISOString()
+        }, ADMIN_TOKEN);
+        market = (await res.json()).market;
+    });
+    after(() => harness.stop());
+
+    it('bets virtual SOL and reports paper positions apart', async () => {
+        const { key, account } = await openAccount();
+        assert.equal(account.balance, 50);
+
+        const res = await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'yes', 20) }, key);
+        assert.equal(res.status, 201);
+        const { bet, account: after } = await res.json();
+        assert.equal(bet.mode, 'paper');
+        assert.equal(after.balance, 30);
+
+        const summary = await (await harness.request('/api/paper/account', { headers: { Authorization: `Bearer ${key}` } })).json();
+        assert.equal(summary.totals.staked, 20);
+        assert.deepEqual(summary.positions.map(position => position.mode), ['paper']);
+
+        const live = await (await harness.request(`/api/markets/${market.id}`)).json();
+        assert.deepEqual(live.market.pools, { yes: 0, no: 0 }, 'paper bets never reach the live pools');
+
+        const health = await (await harness.request('/health')).json();
+        assert.deepEqual([health.markets.bets, health.markets.paper_bets], [0, 1]);
+    });
+
+    it('rejects unknown accounts, overspending and bad orders', async () => {
+        const { key } = await openAccount();
+        assert.equal((await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'yes', 1) })).status, 401);
+        assert.equal((await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'yes', 1) }, 'made-up')).status, 401);
+
+        const tooLarge = await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'yes', 60) }, key);
+        assert.equal(tooLarge.status, 400, 'above the maximum stake');
+        await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'yes', 40) }, key);
+        const over = await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'no', 20) }, key);
+        assert.equal(over.status, 409);
+        assert.equal((await over.json()).error, 'Insufficient balance');
+
+        assert.equal((await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'maybe', 1) }, key)).status, 400);
+        assert.equal((await post('/api/markets/mkt_0000000000000000/paper-bets', { order: paperOrder(market, 'yes', 1) }, key)).status, 404);
+    });
+
+    it('resets the balance', async () => {
+        const { key } = await openAccount();
+        await post(`/api/markets/${market.id}/paper-bets`, { order: paperOrder(market, 'no', 10) }, key);
+
+        const res = await post('/api/paper/account/reset', {}, key);
+        const body = await res.json();
+        assert.equal(body.account.balance, 50);
+        assert.deepEqual(body.positions, []);
+        assert.ok(body.account.reset_at);
+    });
+
+    it('limits how many accounts an address opens', async () => {
+        const limited = await startProxy({ proxy: { markets: { paperAccountsPerHour: 2 } } });
+        try {
+            const open = () => limited.request('/api/paper/accounts', { method: 'POST' });
+            assert.equal((await open()).status, 201);
+            assert.equal((await open()).status, 201);
+
+            const res = await open();
+            assert.equal(res.status, 429);
+            assert.equal((await res.json()).error, 'Too many paper accounts');
+        } finally {
+            await limited.stop();
+        }
+    });
+});
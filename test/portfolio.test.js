@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, createWallet } = require('./harness');
+const { MarketStore, parseMarketInput, describeBet } = require('../server/market-store');
+const { summarizePortfolio } = require('../server/portfolio');
+
+const HOUR = 60 * 60 * 1000;
+const CREATED_AT = Date.parse('2024-01-15T12:00:00Z');
+const EXPIRES_AT = Date.parse('2024-01-17T12:00:00Z');
+const WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+function createMarket(store, tokenId, template = null, expiresAt = EXPIRES_AT) {
+    const input = parseMarketInput({
+        token: { id: tokenId, symbol: tokenId.slice(0, 4), name: tokenId },
+        question: `Will $${tokenId.toUpperCase()} pump +25% by Jan 17?`,
+        resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+        expires_at: new Date(expiresAt).toISOString()
+    }, { maxDurationMs: 90 * 24 * HOUR, now: CREATED_AT });
+    const baseline = { price: 1, market_cap: 1, volume_24h: 1, recorded_at: new Date(CREATED_AT).toISOString() };
+    return store.create({ ...input, template }, baseline, CREATED_AT);
+}
+
+function placeBet(store, market, side, amount) {
+    return store.placeBet({
+        market_id: market.id,
+        side,
+        amount,
+        max_price: 0.99,
+        nonce: `${market.id}-${side}-nonce-00000`,
+        expires_at: new Date(CREATED_AT + 60 * 1000).toISOString(),
+        wallet: WALLET
+    }, 'signature', CREATED_AT).bet;
+}
+
+function positions(store) {
+    return store.getBets({ wallet: WALLET }).reverse().map(bet => describeBet(bet, store.get(bet.market_id)));
+}
+
+describe('summarizePortfolio', () => {
+    it('totals P&L, win rate and open exposure', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const won = createMarket(store, 'bonk', { id: 'pump', params: {} });
+        const lost = createMarket(store, 'popcat');
+        const voided = createMarket(store, 'dogwifcoin');
+        const open = createMarket(store, 'myro', { id: 'pump', params: {} }, EXPIRES_AT + 24 * HOUR);
+        const wonBet = placeBet(store, won, 'yes', 2);
+        placeBet(store, lost, 'yes', 1);
+        placeBet(store, voided, 'no', 3);
+        placeBet(store, open, 'no', 4);
+
+        store.lockExpired(EXPIRES_AT);
+        store.resolve(won.id, 'yes', { method: 'auto', actor: 'resolution-engine' }, EXPIRES_AT + 2 * HOUR);
+        store.resolve(lost.id, 'no', { method: 'auto', actor: 'resolution-engine' }, EXPIRES_AT + HOUR);
+        store.void(voided.id, { method: 'manual', actor: 'admin', reason: 'Ambiguous' }, EXPIRES_AT + 3 * HOUR);
+
+        const { totals, exposure, history } = summarizePortfolio(positions(store));
+        assert.equal(totals.positions, 4);
+        assert.deepEqual([totals.open, totals.won, totals.lost, totals.voided], [1, 1, 1, 1]);
+        assert.equal(totals.staked, 10);
+        assert.equal(totals.open_stake, 4);
+        assert.equal(totals.win_rate, 0.5);
+        assert.ok(Math.abs(totals.realized_pnl - (wonBet.shares - 2 - 1)) < 1e-9);
+        assert.ok(Math.abs(totals.total_pnl - totals.realized_pnl - totals.unrealized_pnl) < 1e-9);
+
+        assert.deepEqual(exposure.tokens.map(group => group.token.id), ['myro']);
+        assert.deepEqual(exposure.categories.map(group => [group.category, group.staked]), [['pump', 4]]);
+
+        assert.deepEqual(history.map(point => point.market_id), [lost.id, won.id, voided.id]);
+        assert.equal(history[0].realized_pnl, -1);
+        assert.ok(Math.abs(history[2].realized_pnl - totals.realized_pnl) < 1e-9);
+    });
+
+    it('has no win rate before anything is decided', () => {
+        const { totals, history } = summarizePortfolio([]);
+        assert.equal(totals.win_rate, null);
+        assert.equal(totals.total_pnl, 0);
+        assert.deepEqual(history, []);
+    });
+});
+
+describe('GET /api/portfolio', () => {
+    let harness;
+    let session;
+    const wallet = createWallet();
+
+    function post(pathname, body) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    function getPortfolio(query, token = session) {
+        return harness.request(`/api/portfolio${query}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    before(async () => {
+        harness = await startProxy();
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: wallet.address })).json();
+        session = (await (await post('/api/auth/verify', { nonce: challenge.nonce, signature: wallet.sign(challenge.message) })).json()).token;
+    });
+    after(() => harness.stop());
+
+    it('summarizes the signed-in wallet', async () => {
+        const res = await getPortfolio('');
+        assert.equal(res.status, 200);
+
+        const body = await res.json();
+        assert.equal(body.wallet, wallet.address);
+        assert.equal(body.totals.positions, 0);
+        assert.deepEqual(body.exposure, { tokens: [], categories: [] });
+        assert.deepEqual(body.positions, []);
+    });
+
+    it("only serves the signed-in wallet's portfolio", async () => {
+        assert.equal((await getPortfolio(`?wallet=${wallet.address}`, null)).status, 401);
+        assert.equal((await getPortfolio(`?wallet=${WALLET}`)).status, 403);
+        assert.equal((await getPortfolio(`?wallet=${wallet.address}`)).status, 200);
+    });
+
+    it('validates the query', async () => {
+        assert.equal((await getPortfolio(`?wallet=${wallet.address}&status=open`)).status, 400);
+    });
+});
@@ -0,0 +1,299 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startProxy, writeFixtureDir, upstreamLabel } = require('./harness');
+
+const trendingFixture = require('../fixtures/upstream/default/frontend-api.pump.fun_coins_trending.json');
+
+// The default feed: graduated, or at least 85% along the bonding curve
+function inDefaultFeed(token) {
+    return token.complete === true || token.graduated === true ||
+        Number(token.bondingCurveProgress || token.bonding_curve_progress || 0) >= 85;
+}
+
+describe('GET /api/pump/tokens', () => {
+    describe('with a healthy upstream', () => {
+        let harness;
+        before(async () => { harness = await startProxy(); });
+        after(() => harness.stop());
+
+        it('serves the first endpoint, filtered to graduated and 85%+ tokens', async () => {
+            const res = await harness.request('/api/pump/tokens');
+            assert.equal(res.status, 200);
+
+            const body = await res.json();
+            const expected = trendingFixture.response.body.coins.filter(inDefaultFeed).map(token => token.mint);
+            assert.equal(body.success, true);
+            assert.equal(body.source, upstreamLabel(`${harness.upstreamUrl}/coins/trending`));
+            assert.equal(body.total, expected.length);
+            assert.ok(expected.length < trendingFixture.response.body.coins.length, 'fixture should include a token below 85%');
+            assert.deepEqual(body.tokens.map(token => token.mint).sort(), expected.sort());
+            body.tokens.forEach(token => {
+                assert.ok(token.status === 'graduated' || token.bonding_curve_progress >= 85, `${token.symbol} should be filtered out`);
+            });
+        });
+
+        it('only asks the fallback endpoint when the first one fails', async () => {
+            const before = harness.upstream.requests.length;
+            await harness.request('/api/pump/tokens');
+            assert.deepEqual(harness.upstream.requests.slice(before).map(request => request.path), ['/coins/trending']);
+        });
+
+        it('honours min_progress and status', async () => {
+            const body = await (await harness.request('/api/pump/tokens?status=bonding&min_progress=0')).json();
+            assert.ok(body.total > 0);
+            body.tokens.forEach(token => assert.equal(token.status, 'bonding'));
+        });
+
+        it('rejects unknown query parameters with 400', async () => {
+            const res = await harness.request('/api/pump/tokens?minprogress=10');
+            assert.equal(res.status, 400);
+
+            const body = await res.json();
+            assert.equal(body.success, false);
+            assert.equal(body.error, 'Invalid query parameter');
+            assert.match(body.message, /Unknown query parameter\(s\): minprogress/);
+        });
+    });
+
+    describe('endpoint fallback', () => {
+        let harness;
+        before(async () => {
+            harness = await startProxy({
+                upstream: { failPaths: ['/coins/trending'] },
+                // Keep the circuit closed so every case reaches the failing endpoint
+                proxy: { upstream: { timeoutMs: 200, failureThreshold: 100 } }
+            });
+        });
+        after(() => harness.stop());
+
+        async function expectFallback(failureMode) {
+            harness.upstream.configure({ failureRate: 1, failureMode });
+            const res = await harness.request('/api/pump/tokens');
+            assert.equal(res.status, 200);
+
+            const body = await res.json();
+            assert.equal(body.source, upstreamLabel(`${harness.upstreamUrl}/coins`));
+            assert.ok(body.total > 0);
+            return body;
+        }
+
+        it('falls back when the first endpoint returns an HTTP error', async () => {
+            await expectFallback('error');
+        });
+
+        it('falls back when the first endpoint times out', async () => {
+            const started = Date.now();
+            await expectFallback('timeout');
+            assert.ok(Date.now() - started < 1000, 'the upstream timeout should cut the request short');
+        });
+
+        it('falls back when the first endpoint resets the connection', async () => {
+            await expectFallback('reset');
+        });
+
+        it('falls back when the first endpoint sends invalid JSON', async () => {
+            await expectFallback('invalid-json');
+        });
+
+        it('treats a payload without a token list as invalid data', async () => {
+            await expectFallback('malformed');
+
+            const health = await (await harness.request('/health')).json();
+            const trending = health.upstreams[upstreamLabel(`${harness.upstreamUrl}/coins/trending`)];
+            assert.equal(trending.last_error.message, 'Invalid data format received from API');
+        });
+
+        it('sanitizes the snake_case fallback payload', async () => {
+            const body = await expectFallback('error');
+            const shiba = body.tokens.find(token => token.symbol === 'SSHIB');
+            assert.equal(shiba.market_cap, 3310000);
+            assert.equal(shiba.holders, 1623);
+            assert.equal(shiba.status, 'graduated');
+            assert.equal(shiba.bonding_curve_progress, 100);
+            assert.equal(shiba.graduation_time, '2024-01-15T11:45:00Z');
+        });
+    });
+
+    describe('when every endpoint fails', () => {
+        let harness;
+        before(async () => {
+            harness = await startProxy({
+                upstream: { failureRate: 1, failureMode: 'malformed' },
+                proxy: { upstream: { timeoutMs: 200, failureThreshold: 100 } }
+            });
+        });
+        after(() => harness.stop());
+
+        it('answers 502 after trying each endpoint in order', async () => {
+            const res = await harness.request('/api/pump/tokens');
+            assert.equal(res.status, 502);
+
+            const body = await res.json();
+            assert.equal(body.success, false);
+            assert.equal(body.error, 'Service temporarily unavailable');
+            assert.deepEqual(harness.upstream.requests.map(request => request.path), ['/coins/trending', '/coins']);
+
+            const health = await (await harness.request('/health')).json();
+            for (const endpoint of ['/coins/trending', '/coins']) {
+                const upstream = health.upstreams[upstreamLabel(`${harness.upstreamUrl}${endpoint}`)];
+                assert.equal(upstream.last_error.message, 'Invalid data format received from API');
+            }
+        });
+
+        it('answers 502 when every endpoint times out', async () => {
+            harness.upstream.configure({ failureMode: 'timeout' });
+            const started = Date.now();
+            const res = await harness.request('/api/pump/tokens');
+            assert.equal(res.status, 502);
+            assert.ok(Date.now() - started < 2000, 'each endpoint should give up after timeoutMs');
+        });
+    });
+
+    describe('sanitizing upstream tokens', () => {
+        let harness;
+        let dir;
+        before(async () => {
+            dir = writeFixtureDir({
+                '/coins/trending': [
+                    {
+                        mint: 'M'.repeat(150),
+                        name: 'N'.repeat(150),
+                        symbol: 'S'.repeat(30),
+                        description: 'D'.repeat(600),
+                        image: `https://example.com/${'i'.repeat(600)}.png`,
+                        creator: 'C'.repeat(150),
+                        market_cap: '123456.5',
+                        price: '0.0012',
+                        holder_count: '42',
+                        volume_24h: null,
+                        bonding_curve_progress: '140',
+                        private_key: 'never forwarded',
+                        created_timestamp: '2024-01-14T10:00:00Z'
+                    },
+                    { mint: 'holdersAlias', name: 'Alias', symbol: 'ALIAS', holders: 7, graduated: true },
+                    { name: 'No mint', symbol: 'NOMINT', bonding_curve_progress: 99 }
+                ]
+            });
+            harness = await startProxy({ upstream: { dir } });
+        });
+        after(async () => {
+            await harness.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        async function fetchTokens() {
+            return (await (await harness.request('/api/pump/tokens?min_progress=0')).json()).tokens;
+        }
+
+        it('truncates text fields', async () => {
+            const token = (await fetchTokens()).find(t => t.mint.startsWith('M'));
+            assert.equal(token.mint.length, 100);
+            assert.equal(token.name.length, 100);
+            assert.equal(token.symbol.length, 20);
+            assert.equal(token.description.length, 500);
+            assert.equal(token.image.length, 500);
+            assert.equal(token.creator.length, 100);
+        });
+
+        it('coerces numbers and caps bonding curve progress', async () => {
+            const token = (await fetchTokens()).find(t => t.mint.startsWith('M'));
+            assert.equal(token.market_cap, 123456.5);
+            assert.equal(token.price, 0.0012);
+            assert.equal(token.holders, 42);
+            assert.equal(token.volume_24h, 0);
+            assert.equal(token.change_24h, 0);
+            assert.equal(token.bonding_curve_progress, 100);
+            assert.equal(token.status, 'bonding');
+        });
+
+        it('accepts holders as an alias for holder_count', async () => {
+            const token = (await fetchTokens()).find(t => t.mint === 'holdersAlias');
+            assert.equal(token.holders, 7);
+            assert.equal(token.market_cap, 0);
+            assert.equal(token.status, 'graduated');
+            assert.equal(token.bonding_curve_progress, 100);
+        });
+
+        it('drops unknown fields and tokens without a mint', async () => {
+            const tokens = await fetchTokens();
+            assert.equal(tokens.length, 2);
+            tokens.forEach(token => assert.equal(token.private_key, undefined));
+        });
+    });
+
+    it('accepts a bare array of tokens', async () => {
+        const harness = await startProxy({ upstream: { scenario: 'bare-array' } });
+        try {
+            const body = await (await harness.request('/api/pump/tokens?min_progress=0')).json();
+            const raw = require(path.join(__dirname, '..', 'fixtures', 'upstream', 'bare-array', 'frontend-api.pump.fun_coins_trending.json'));
+            assert.equal(body.total, raw.response.body.length);
+        } finally {
+            await harness.stop();
+        }
+    });
+});
+
+describe('routing and security middleware', () => {
+    let harness;
+    before(async () => { harness = await startProxy(); });
+    after(() => harness.stop());
+
+    it('answers 404 for unknown routes', async () => {
+        const res = await harness.request('/api/pump/unknown');
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).error, 'Endpoint not found');
+    });
+
+    for (const method of ['POST', 'PUT', 'DELETE', 'PATCH']) {
+        it(`answers 405 for ${method}`, async () => {
+            const res = await harness.request('/api/pump/tokens', { method });
+            assert.equal(res.status, 405);
+            assert.equal((await res.json()).error, 'Method not allowed');
+        });
+    }
+
+    it('sets security headers on GET responses', async () => {
+        const res = await harness.request('/health');
+        assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(res.headers.get('x-frame-options'), 'DENY');
+    });
+
+    it('rejects malformed market data from CoinGecko', async () => {
+        harness.upstream.configure({ failureRate: 1, failureMode: 'malformed', failPaths: ['/api/v3/search/trending'] });
+        try {
+            const res = await harness.request('/api/market/trending');
+            assert.equal(res.status, 502);
+            assert.equal((await res.json()).message, 'Unable to fetch market data at this time');
+        } finally {
+            harness.upstream.configure({ failureRate: 0, failPaths: [] });
+        }
+    });
+});
+
+describe('rate limiting', () => {
+    let harness;
+    before(async () => {
+        harness = await startProxy({ proxy: { rateLimit: { enabled: true, windowMs: 60000, max: 3 } } });
+    });
+    after(() => harness.stop());
+
+    it('answers 429 once an IP has used its window', async () => {
+        for (let i = 0; i < 3; i++) {
+            const res = await harness.request('/health');
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('ratelimit-limit'), '3');
+        }
+
+        const res = await harness.request('/api/pump/tokens');
+        assert.equal(res.status, 429);
+        assert.equal(await res.text(), 'Too many requests from this IP, please try again later.');
+    });
+
+    it('does not count or limit /metrics scrapes', async () => {
+        const res = await harness.request('/metrics');
+        assert.equal(res.status, 200);
+        assert.match(await res.text(), /pump_proxy_rate_limited_total 1/);
+    });
+});
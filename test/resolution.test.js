@@ -0,0 +1,331 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startProxy, createWallet } = require('./harness');
+const { MarketStore, parseMarketInput } = require('../server/market-store');
+const { PriceHistoryStore } = require('../server/price-history');
+const { ResolutionEngine, evaluateRule, pickObservation } = require('../server/market-resolution');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'price-history', 'default.jsonl');
+const CREATED_AT = Date.parse('2024-01-15T12:00:00Z');
+const EXPIRES_AT = Date.parse('2024-01-17T12:00:00Z');
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
+const ORIGIN = 'http://localhost:3000';
+
+function createMarket(store, tokenId, resolution, baseline) {
+    const input = parseMarketInput({
+        token: { id: tokenId, symbol: tokenId.slice(0, 4), name: tokenId },
+        question: `Will $${tokenId.toUpperCase()} pass the threshold by Jan 17?`,
+        resolution,
+        expires_at: new Date(EXPIRES_AT).toISOString()
+    }, { maxDurationMs: 90 * 24 * HOUR, now: CREATED_AT });
+    return store.create(input, { market_cap: 1, volume_24h: 1, ...baseline, recorded_at: new Date(CREATED_AT).toISOString() }, CREATED_AT);
+}
+
+function placeBet(store, market, side, wallet) {
+    return store.placeBet({
+        market_id: market.id,
+        side,
+        amount: 2,
+        max_price: 0.99,
+        nonce: `${wallet}-nonce-0000000000`,
+        expires_at: new Date(CREATED_AT + MINUTE).toISOString(),
+        wallet
+    }, 'signature', CREATED_AT).bet;
+}
+
+describe('resolution rules', () => {
+    const baseline = { price: 0.00002, market_cap: 1300000000, volume_24h: 200000000 };
+    const observation = { price: 0.0000258, market_cap: 1677000000, volume_24h: 430000000 };
+
+    it('compares each metric with the threshold', () => {
+        const pump = evaluateRule({ metric: 'price_change_pct', comparator: 'gte', threshold: 25, baseline }, observation);
+        assert.equal(pump.outcome, 'yes');
+        assert.ok(Math.abs(pump.value - 29) < 1e-9);
+
+        assert.equal(evaluateRule({ metric: 'volume_change_pct', comparator: 'gt', threshold: 150, baseline }, observation).outcome, 'no');
+        assert.equal(evaluateRule({ metric: 'market_cap', comparator: 'lt', threshold: 2e9, baseline }, observation).outcome, 'yes');
+        assert.equal(evaluateRule({ metric: 'price', comparator: 'lte', threshold: 0.0000258, baseline }, observation).outcome, 'yes');
+        assert.equal(evaluateRule({ metric: 'volume_24h', comparator: 'gt', threshold: 430000000, baseline }, observation).outcome, 'no');
+        // BONK +29% against SOL +10%: 19 points ahead
+        const relative = { metric: 'relative_price_change_pct', comparator: 'gte', threshold: 20, baseline: { ...baseline, reference: { price: 100 } } };
+        const against = evaluateRule(relative, { ...observation, reference: { price: 110 } });
+        assert.equal(against.outcome, 'no');
+        assert.ok(Math.abs(against.value - 19) < 1e-9);
+        assert.equal(evaluateRule(relative, observation), null);
+    });
+
+    it('cannot measure a change from an empty baseline', () => {
+        assert.equal(evaluateRule({ metric: 'price_change_pct', comparator: 'gte', threshold: 25, baseline: { price: 0 } }, observation), null);
+        assert.equal(evaluateRule({ metric: 'price', comparator: 'gte', threshold: 1, baseline }, { price: null }), null);
+    });
+
+    it('settles on the first sample after expiry, else the last one before it', () => {
+        const sample = iso => ({ timestamp: iso });
+        const history = [sample('2024-01-17T11:55:00Z'), sample('2024-01-17T12:05:00Z')];
+
+        assert.equal(pickObservation(history, EXPIRES_AT, 15 * MINUTE).timestamp, '2024-01-17T12:05:00Z');
+        assert.equal(pickObservation(history, EXPIRES_AT, 4 * MINUTE), null);
+
+        const late = [sample('2024-01-17T11:55:00Z'), sample('2024-01-17T12:30:00Z')];
+        assert.equal(pickObservation(late, EXPIRES_AT, 15 * MINUTE).timestamp, '2024-01-17T11:55:00Z');
+        assert.equal(pickObservation([], EXPIRES_AT, 15 * MINUTE), null);
+    });
+});
+
+describe('ResolutionEngine against the price history fixture', () => {
+    let history;
+    before(async () => {
+        history = new PriceHistoryStore({ filePath: FIXTURE, retentionMs: Infinity, minIntervalMs: 0 });
+        await history.load();
+    });
+
+    it('settles expired markets and pays the winning side', async () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const bonk = createMarket(store, 'bonk', { metric: 'price_change_pct', comparator: 'gte', threshold: 25 }, { price: 0.00002 });
+        const wif = createMarket(store, 'dogwifcoin', { metric: 'price', comparator: 'gt', threshold: 2.4 }, { price: 2.4 });
+        const yesBet = placeBet(store, bonk, 'yes', 'alice');
+        const noBet = placeBet(store, bonk, 'no', 'bob');
+
+        const engine = new ResolutionEngine({ marketStore: store, history, toleranceMs: 15 * MINUTE });
+        assert.deepEqual(await engine.run(EXPIRES_AT - MINUTE), { resolved: [], voided: [], pending: [] });
+
+        const result = await engine.run(EXPIRES_AT + 20 * MINUTE);
+        assert.deepEqual(result.resolved.sort(), [bonk.id, wif.id].sort());
+
+        const settled = store.get(bonk.id);
+        assert.equal(settled.status, 'resolved');
+        assert.equal(settled.outcome, 'yes');
+        assert.equal(settled.settlement.method, 'auto');
+        assert.equal(settled.settlement.observation.timestamp, '2024-01-17T12:05:00.000Z');
+        assert.ok(Math.abs(settled.settlement.value - 29) < 1e-9);
+        assert.equal(store.get(wif.id).outcome, 'no');
+
+        const [won, lost] = store.getBets({ market: bonk.id });
+        assert.equal(won.id, yesBet.id);
+        assert.equal(won.status, 'won');
+        assert.equal(won.payout, yesBet.shares);
+        assert.equal(lost.id, noBet.id);
+        assert.equal(lost.status, 'lost');
+        assert.equal(lost.payout, 0);
+
+        const [audit] = store.getAudit({ market: bonk.id });
+        assert.equal(audit.action, 'resolve');
+        assert.equal(audit.actor, 'resolution-engine');
+        assert.equal(audit.previous_status, 'locked');
+    });
+
+    it('samples while waiting for data and voids markets that never get any', async () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const popcat = createMarket(store, 'popcat', { metric: 'price', comparator: 'gte', threshold: 0.5 }, { price: 0.41 });
+        const bet = placeBet(store, popcat, 'yes', 'carol');
+
+        const sampled = [];
+        const engine = new ResolutionEngine({
+            marketStore: store,
+            history,
+            toleranceMs: 15 * MINUTE,
+            sample: async token => { sampled.push(token.id); }
+        });
+
+        assert.deepEqual((await engine.run(EXPIRES_AT + MINUTE)).pending, [popcat.id]);
+        assert.deepEqual(sampled, ['popcat']);
+        assert.equal(store.get(popcat.id).status, 'locked');
+
+        assert.deepEqual((await engine.run(EXPIRES_AT + 16 * MINUTE)).voided, [popcat.id]);
+        assert.equal(sampled.length, 1, 'no sampling once the tolerance has passed');
+
+        const voided = store.get(popcat.id);
+        assert.equal(voided.status, 'voided');
+        assert.match(voided.settlement.reason, /No market data within 15 minutes/);
+        const [refund] = store.getBets({ market: popcat.id });
+        assert.equal(refund.status, 'voided');
+        assert.equal(refund.payout, bet.amount);
+    });
+
+    it('re-settles bets when an outcome is overridden', () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const market = createMarket(store, 'bonk', { metric: 'price', comparator: 'gt', threshold: 1 }, { price: 0.00002 });
+        const bet = placeBet(store, market, 'yes', 'dave');
+        store.lockExpired(EXPIRES_AT);
+
+        store.resolve(market.id, 'no', { method: 'auto', actor: 'resolution-engine' }, EXPIRES_AT);
+        assert.equal(store.getBets({ market: market.id })[0].status, 'lost');
+
+        store.resolve(market.id, 'yes', { method: 'manual', actor: 'admin', reason: 'Upstream price was wrong' }, EXPIRES_AT + HOUR);
+        const [rebet] = store.getBets({ market: market.id });
+        assert.equal(rebet.status, 'won');
+        assert.equal(rebet.payout, bet.shares);
+
+        const audit = store.getAudit({ market: market.id });
+        assert.deepEqual(audit.map(record => record.action), ['resolve', 'override']);
+        assert.equal(audit[1].previous_outcome, 'no');
+        assert.equal(audit[1].reason, 'Upstream price was wrong');
+
+        store.void(market.id, { method: 'manual', actor: 'admin', reason: 'Duplicate market' }, EXPIRES_AT + 2 * HOUR);
+        assert.throws(() => store.resolve(market.id, 'no', { method: 'manual', actor: 'admin', reason: 'again' }), { code: 'MARKET_FINAL' });
+    });
+
+    it('waits for expiry before settling markets locked early', async () => {
+        const store = new MarketStore({ filePath: null, liquidity: 100 });
+        const bonk = createMarket(store, 'bonk', { metric: 'price_change_pct', comparator: 'gte', threshold: 25 }, { price: 0.00002 });
+        store.lock(bonk.id, { method: 'manual', actor: 'admin', reason: 'Listing news pending' }, CREATED_AT + HOUR);
+        assert.throws(() => store.lock(bonk.id, { method: 'manual', actor: 'admin', reason: 'again' }), { code: 'MARKET_CLOSED' });
+
+        const engine = new ResolutionEngine({ marketStore: store, history, toleranceMs: 15 * MINUTE });
+        assert.deepEqual(await engine.run(EXPIRES_AT - MINUTE), { resolved: [], voided: [], pending: [] });
+        assert.deepEqual((await engine.run(EXPIRES_AT + 20 * MINUTE)).resolved, [bonk.id]);
+        assert.deepEqual(store.getAudit({ market: bonk.id }).map(record => record.action), ['lock', 'resolve']);
+    });
+});
+
+describe('manual settlement routes', () => {
+    let harness;
+    let market;
+
+    function post(pathname, body, token = ADMIN_TOKEN) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+    }
+
+    before(async () => {
+        harness = await startProxy({ proxy: { markets: { adminToken: ADMIN_TOKEN } } });
+        const res = await post('/api/markets', {
+            token: { id: 'bonk', symbol: 'bonk', name: 'Bonk' },
+            question: 'Will $BONK pump +25% in the next 48 hours?',
+            resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+            expires_at: new Date(Date.now() + 48 * HOUR).toISOString()
+        });
+        market = (await res.json()).market;
+    });
+    after(() => harness.stop());
+
+    it('requires the admin token and a reason', async () => {
+        assert.equal((await post(`/api/markets/${market.id}/void`, { reason: 'Bad question' }, null)).status, 401);
+        assert.equal((await post(`/api/markets/${market.id}/void`, { reason: 'Bad question' }, 'wrong-token')).status, 401);
+        assert.equal((await post(`/api/markets/${market.id}/void`, { reason: ' ' })).status, 400);
+        assert.equal((await post('/api/markets/mkt_0000000000000000/void', { reason: 'Bad question' })).status, 404);
+    });
+
+    it('only resolves markets that stopped trading', async () => {
+        const res = await post(`/api/markets/${market.id}/resolve`, { outcome: 'yes', reason: 'Pumped early' });
+        assert.equal(res.status, 409);
+        assert.equal((await res.json()).error, 'Market open');
+    });
+
+    it('voids with an audit reason', async () => {
+        const res = await post(`/api/markets/${market.id}/void`, { reason: 'Question was ambiguous' });
+        assert.equal(res.status, 200);
+
+        const body = await res.json();
+        assert.equal(body.market.status, 'voided');
+        assert.equal(body.market.settlement.reason, 'Question was ambiguous');
+        assert.equal(body.audit.action, 'void');
+        assert.equal(body.audit.actor, 'admin');
+
+        const fetched = await (await harness.request(`/api/markets/${market.id}`)).json();
+        assert.deepEqual(fetched.audit.map(record => record.action), ['create', 'void']);
+
+        assert.equal((await post(`/api/markets/${market.id}/void`, { reason: 'Again' })).status, 409);
+    });
+
+    it('is off without an admin token', async () => {
+        const plain = await startProxy();
+        try {
+            const res = await plain.request(`/api/markets/${market.id}/void`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: 'Bad question' })
+            });
+            assert.equal(res.status, 403);
+        } finally {
+            await plain.stop();
+        }
+    });
+});
+
+describe('admin console routes', () => {
+    let harness;
+    const admin = createWallet();
+    const stranger = createWallet();
+
+    function post(pathname, body, token) {
+        return harness.request(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: ORIGIN, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+    }
+
+    function get(pathname, token) {
+        return harness.request(pathname, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    async function signIn(wallet) {
+        const { challenge } = await (await post('/api/auth/challenge', { chain: 'solana', address: wallet.address })).json();
+        const res = await post('/api/auth/verify', { nonce: challenge.nonce, signature: wallet.sign(challenge.message) });
+        return (await res.json()).token;
+    }
+
+    function createBonkMarket(token) {
+        return post('/api/markets', {
+            token: { id: 'bonk', symbol: 'bonk', name: 'Bonk' },
+            question: 'Will $BONK pump +25% in the next 48 hours?',
+            resolution: { metric: 'price_change_pct', comparator: 'gte', threshold: 25 },
+            expires_at: new Date(Date.now() + 48 * HOUR).toISOString()
+        }, token);
+    }
+
+    before(async () => { harness = await startProxy({ proxy: { markets: { adminWallets: [admin.address] } } }); });
+    after(() => harness.stop());
+
+    it('only admits allowlisted wallets', async () => {
+        assert.equal((await get('/api/admin/session')).status, 401);
+        assert.equal((await get('/api/admin/session', await signIn(stranger))).status, 403);
+
+        const res = await get('/api/admin/session', await signIn(admin));
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).actor, `solana:${admin.address}`);
+    });
+
+    it('locks, resolves and audits under the wallet', async () => {
+        const token = await signIn(admin);
+        const { market } = await (await createBonkMarket(token)).json();
+
+        assert.equal((await post(`/api/markets/${market.id}/lock`, { reason: 'Suspicious volume' }, await signIn(stranger))).status, 403);
+        const locked = await post(`/api/markets/${market.id}/lock`, { reason: 'Suspicious volume' }, token);
+        assert.equal(locked.status, 200);
+        assert.equal((await locked.json()).market.status, 'locked');
+        assert.equal((await post(`/api/markets/${market.id}/lock`, { reason: 'Again' }, token)).status, 409);
+
+        const resolved = await post(`/api/markets/${market.id}/resolve`, { outcome: 'no', reason: 'Delisted' }, token);
+        assert.equal((await resolved.json()).market.outcome, 'no');
+
+        const { audit, total } = await (await get(`/api/admin/audit?market=${market.id}`, token)).json();
+        assert.equal(total, 3);
+        assert.deepEqual(audit.map(record => record.action), ['resolve', 'lock', 'create']);
+        assert.ok(audit.every(record => record.actor === `solana:${admin.address}`));
+        assert.equal(audit[1].reason, 'Suspicious volume');
+    });
+
+    it('audits template markets under the wallet', async () => {
+        const token = await signIn(admin);
+        const body = { token: { id: 'dogwifcoin', symbol: 'wif', name: 'dogwifhat' }, template: 'auto' };
+        assert.equal((await post('/api/markets', body)).status, 401);
+        assert.equal((await post('/api/markets', body, await signIn(stranger))).status, 403);
+        const { market } = await (await post('/api/markets', body, token)).json();
+
+        const { audit } = await (await get(`/api/admin/audit?market=${market.id}&limit=1`, token)).json();
+        assert.equal(audit[0].action, 'create');
+        assert.equal(audit[0].actor, `solana:${admin.address}`);
+        assert.equal(audit[0].method, 'template');
+
+        assert.equal((await get('/api/admin/audit?limit=0', token)).status, 400);
+        assert.equal((await get('/api/admin/audit?sort=asc', token)).status, 400);
+    });
+});
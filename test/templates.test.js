@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy } = require('./harness');
+const { renderTemplate, chooseTemplate, describeTemplates } = require('../server/question-templates');
+
+const BONK = { id: 'bonk', symbol: 'bonk', name: 'Bonk' };
+
+describe('question templates', () => {
+    it('renders the question and the rule from the same parameters', () => {
+        const pump = renderTemplate('pump', { threshold_pct: 25, horizon_hours: 48 }, BONK);
+        assert.equal(pump.question, 'Will $BONK pump +25% in the next 48 hours?');
+        assert.deepEqual(pump.resolution, { metric: 'price_change_pct', comparator: 'gte', threshold: 25 });
+        assert.equal(pump.horizon_hours, 48);
+        assert.deepEqual(pump.template, { id: 'pump', params: { threshold_pct: 25, horizon_hours: 48 } });
+
+        const drop = renderTemplate('drop', { threshold_pct: 20, horizon_hours: 72 }, BONK);
+        assert.equal(drop.question, 'Will $BONK drop 20% or more in the next 72 hours?');
+        assert.equal(drop.resolution.threshold, -20);
+
+        const outperform = renderTemplate('outperform', { threshold_pct: 5, horizon_hours: 168, reference: 'solana' }, BONK);
+        assert.equal(outperform.question, 'Will $BONK outperform $SOL by 5+ points in the next 7 days?');
+        assert.deepEqual(outperform.resolution, { metric: 'relative_price_change_pct', comparator: 'gte', threshold: 5, reference: 'solana' });
+    });
+
+    it('rejects unknown templates and bad parameters', () => {
+        const cases = [
+            ['moon', { horizon_hours: 24 }, /template.id/],
+            ['pump', { threshold_pct: 25 }, /horizon_hours must be one of/],
+            ['pump', { threshold_pct: 0, horizon_hours: 24 }, /threshold_pct must be a number between 1 and 500/],
+            ['pump', { threshold_pct: '25', horizon_hours: 24 }, /threshold_pct/],
+            ['hold', { horizon_hours: 24, threshold_pct: 5 }, /Unknown template parameter/],
+            ['outperform', { threshold_pct: 5, horizon_hours: 24, reference: 'bitcoin' }, /reference must be one of: solana/],
+            ['toString', {}, /template.id/]
+        ];
+        for (const [id, params, message] of cases) {
+            assert.throws(() => renderTemplate(id, params, BONK), { code: 'INVALID_MARKET', message });
+        }
+        assert.throws(() => renderTemplate('outperform', { threshold_pct: 5, horizon_hours: 24, reference: 'solana' }, { id: 'solana', symbol: 'sol' }),
+            /compared with itself/);
+    });
+
+    it('scales thresholds and horizons with volatility', () => {
+        const wild = chooseTemplate(BONK, { change_24h: 30, change_7d: 10, volume_24h: 1, market_cap: 100 });
+        assert.deepEqual(wild, { id: 'pump', params: { threshold_pct: 30, horizon_hours: 24 } });
+
+        const moderate = chooseTemplate(BONK, { change_24h: -5.4, change_7d: -10.49, volume_24h: 1, market_cap: 100 });
+        assert.deepEqual(moderate, { id: 'pump', params: { threshold_pct: 9, horizon_hours: 72 } });
+
+        const falling = chooseTemplate(BONK, { change_24h: -12, change_7d: 0, volume_24h: 1, market_cap: 100 });
+        assert.deepEqual(falling, { id: 'drop', params: { threshold_pct: 15, horizon_hours: 48 } });
+
+        const busy = chooseTemplate(BONK, { change_24h: 6, change_7d: 0, volume_24h: 80, market_cap: 100 });
+        assert.equal(busy.id, 'volume_spike');
+        assert.ok(busy.params.threshold_pct >= 25);
+
+        const calm = chooseTemplate(BONK, { change_24h: 1, change_7d: 5, volume_24h: 1, market_cap: 100 });
+        assert.deepEqual(calm, { id: 'outperform', params: { threshold_pct: 3, horizon_hours: 168, reference: 'solana' } });
+        assert.equal(chooseTemplate({ id: 'solana' }, { change_24h: 1, change_7d: 5 }).id, 'hold');
+    });
+
+    it('always chooses parameters its template accepts', () => {
+        for (const change24h of [-80, -10, -3, 0, 2, 9, 16, 60, 400]) {
+            for (const turnover of [0, 0.6]) {
+                const choice = chooseTemplate(BONK, { change_24h: change24h, change_7d: change24h * 2, volume_24h: turnover * 100, market_cap: 100 });
+                assert.doesNotThrow(() => renderTemplate(choice.id, choice.params, BONK), `${change24h}% / ${turnover}`);
+            }
+        }
+    });
+});
+
+describe('POST /api/markets with templates', () => {
+    const ADMIN_TOKEN = 'test-admin-token-0123456789';
+    let harness;
+    before(async () => { harness = await startProxy({ proxy: { markets: { adminToken: ADMIN_TOKEN } } }); });
+    after(() => harness.stop());
+
+    function postMarket(body, headers = { Authorization: `Bearer ${ADMIN_TOKEN}` }) {
+        return harness.request('/api/markets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('lists the registry', async () => {
+        const { templates } = await (await harness.request('/api/markets/templates')).json();
+        assert.deepEqual(templates.map(template => template.id), describeTemplates().map(template => template.id));
+        assert.deepEqual(templates.find(template => template.id === 'outperform').parameters.reference.values, ['solana']);
+    });
+
+    it("picks a template from the token's market data", async () => {
+        const res = await postMarket({ token: BONK, template: 'auto' });
+        assert.equal(res.status, 201);
+
+        const { market } = await res.json();
+        assert.equal(market.question, 'Will $BONK pump +9% in the next 72 hours?');
+        assert.deepEqual(market.template, { id: 'pump', params: { threshold_pct: 9, horizon_hours: 72 } });
+        assert.deepEqual(Object.keys(market.resolution.baseline).sort(), ['market_cap', 'price', 'recorded_at', 'volume_24h']);
+        assert.ok(Math.abs(Date.parse(market.expires_at) - Date.now() - 72 * 60 * 60 * 1000) < 60 * 1000);
+
+        const again = await postMarket({ token: BONK, template: 'auto' });
+        assert.equal(again.status, 409);
+    });
+
+    it('leaves every template to admins', async () => {
+        const res = await postMarket({ token: BONK, template: { id: 'pump', params: { threshold_pct: 25, horizon_hours: 24 } } }, {});
+        assert.equal(res.status, 401);
+        assert.equal((await postMarket({ token: { id: 'popcat', symbol: 'popcat', name: 'Popcat' }, template: 'auto' }, {})).status, 401);
+    });
+
+    it('stores the reference asset baseline for comparisons', async () => {
+        const res = await postMarket({
+            token: { id: 'popcat', symbol: 'popcat', name: 'Popcat' },
+            template: { id: 'outperform', params: { threshold_pct: 10, horizon_hours: 168, reference: 'solana' } }
+        });
+        assert.equal(res.status, 201);
+
+        const { market } = await res.json();
+        assert.equal(market.resolution.reference, 'solana');
+        assert.equal(market.resolution.baseline.reference.price, 98.4);
+        assert.equal(market.resolution.baseline.price, 0.41);
+    });
+
+    it('rejects bad templates', async () => {
+        const bad = await postMarket({ token: BONK, template: { id: 'pump', params: { threshold_pct: 9000, horizon_hours: 24 } } });
+        assert.equal(bad.status, 400);
+        assert.match((await bad.json()).message, /threshold_pct/);
+
+        assert.equal((await postMarket({ token: BONK, template: 'random' })).status, 400);
+        assert.equal((await postMarket({ token: { id: 'Bonk!' }, template: 'auto' })).status, 400);
+        assert.equal((await postMarket({ token: { id: 'not-listed', symbol: 'nl', name: 'Not Listed' }, template: 'auto' })).status, 422);
+    });
+});
@@ -2,6 +2,7 @@
  * Wallet Authentication System
  * Reusable wallet connection flow with loading screen
  * Supports Phantom, MetaMask, and Solflare wallets
+ * A wallet counts as authenticated once it has signed the proxy's sign-in challenge (/api/auth)
  */
 
 'use strict';
@@ -14,12 +15,14 @@ class WalletAuthController {
   constructor(options = {}) {
     this.loadingProgress = 0;
     this.loadingDuration = options.loadingDuration || 2000; // 2 seconds default
-    this.isAuthenticated = false;
+    this.isAuthenticated = false; // Only true while the proxy holds a verified session
     this.connectedWallet = null;
+    this.session = null; // { token, id, chain, address, expires_at } from /api/auth/verify
     this.options = {
       autoInit: true,
       enableDebugLogs: true,
       videoBackground: true,
+      authUrl: 'http://localhost:3001/api/auth',
       ...options
     };
     
@@ -211,17 +214,31 @@ class WalletAuthController {
       }
 
       const connectionData = JSON.parse(storedConnection);
-      const now = Date.now();
       
-      // Check if connection is expired (24 hours)
-      if (now - connectionData.timestamp > 24 * 60 * 60 * 1000) {
-        this.log('Stored connection expired, clearing');
+      // Connections from before sign-in existed, or whose session has run out
+      if (!connectionData.token || Date.parse(connectionData.expiresAt) <= Date.now()) {
+        this.log('Stored session missing or expired, clearing');
         localStorage.removeItem('micro_wallet_connection');
         return false;
       }
 
       // Verify the wallet is still actually connected
-      return await this.verifyWalletConnection(connectionData.walletType);
+      if (!await this.verifyWalletConnection(connectionData.walletType)) {
+        return false;
+      }
+
+      // The proxy has the final say: the session may have been revoked
+      const session = await this.fetchSession(connectionData.token);
+      if (!session || session.address !== this.normalizeAddress(this.connectedWallet)) {
+        this.log('Stored session rejected by the server, clearing');
+        localStorage.removeItem('micro_wallet_connection');
+        this.connectedWallet = null;
+        return false;
+      }
+
+      this.session = { ...session, token: connectionData.token };
+      this.isAuthenticated = true;
+      return true;
     } catch (error) {
       this.log('Error checking existing connection:', error);
       localStorage.removeItem('micro_wallet_connection');
@@ -246,7 +263,6 @@ class WalletAuthController {
                   publicKey: response.publicKey.toString(),
                   address: response.publicKey.toString()
                 };
-                this.isAuthenticated = true;
                 return true;
               }
             } catch (err) {
@@ -265,7 +281,6 @@ class WalletAuthController {
                   publicKey: accounts[0],
                   address: accounts[0]
                 };
-                this.isAuthenticated = true;
                 return true;
               }
             } catch (err) {
@@ -284,7 +299,6 @@ class WalletAuthController {
                   publicKey: publicKey.toString(),
                   address: publicKey.toString()
                 };
-                this.isAuthenticated = true;
                 return true;
               }
             } catch (err) {
@@ -406,6 +420,10 @@ class WalletAuthController {
       }
 
       if (wallet) {
+        // Prove ownership of the address before counting the wallet as signed in
+        walletName.textContent = 'SIGN IN...';
+        connectText.textContent = 'CHECK WALLET';
+        this.session = await this.signIn(wallet);
         this.connectedWallet = wallet;
         this.isAuthenticated = true;
         
@@ -576,6 +594,90 @@ class WalletAuthController {
     }
   }
 
+  /**
+   * Sign in with the proxy: fetch a challenge, have the wallet sign it, exchange the signature for a session
+   * @returns {Promise<Object>} the session, with its bearer token
+   */
+  async signIn(wallet) {
+    const chain = wallet.type === 'metamask' ? 'ethereum' : 'solana';
+    const { challenge } = await this.postAuth('/challenge', { chain, address: wallet.address });
+    
+    this.log('Requesting sign-in signature...');
+    const signature = await this.signChallenge(wallet, challenge.message);
+    
+    const { token, session } = await this.postAuth('/verify', { nonce: challenge.nonce, signature });
+    this.log('✅ Signed in, session expires', session.expires_at);
+    return { ...session, token };
+  }
+
+  /**
+   * Sign a text message with the wallet that connected
+   * @returns {Promise<string>} base64 ed25519 signature (Solana) or 0x hex personal_sign signature (MetaMask)
+   */
+  async signChallenge(wallet, message) {
+    try {
+      if (wallet.type === 'metamask') {
+        const hexMessage = `0x${Array.from(new TextEncoder().encode(message), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+        return await window.ethereum.request({ method: 'personal_sign', params: [hexMessage, wallet.address] });
+      }
+      
+      const provider = wallet.type === 'phantom' ? window.solana : window.solflare;
+      if (!provider || typeof provider.signMessage !== 'function') {
+        throw new Error('This wallet cannot sign messages');
+      }
+      const signed = await provider.signMessage(new TextEncoder().encode(message), 'utf8');
+      const bytes = new Uint8Array(signed.signature || signed);
+      return btoa(String.fromCharCode(...bytes));
+    } catch (error) {
+      if (error.code === 4001) {
+        throw new Error('Sign-in request rejected by user');
+      }
+      throw error;
+    }
+  }
+
+  async postAuth(path, body) {
+    const response = await fetch(`${this.options.authUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Sign-in failed (HTTP ${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * The proxy's view of a stored session
+   * @returns {Promise<Object|null>} null when it is unknown, expired or revoked
+   */
+  async fetchSession(token) {
+    try {
+      const response = await fetch(`${this.options.authUrl}/session`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) return null;
+      return (await response.json()).session;
+    } catch (error) {
+      this.log('Session check failed:', error);
+      return null;
+    }
+  }
+
+  // Sessions store Ethereum addresses in lowercase
+  normalizeAddress(wallet) {
+    return wallet.type === 'metamask' ? wallet.address.toLowerCase() : wallet.address;
+  }
+
+  /**
+   * Headers that identify the signed-in wallet to the proxy (public API)
+   */
+  getAuthHeaders() {
+    return this.session ? { Authorization: `Bearer ${this.session.token}` } : {};
+  }
+
   /**
    * Transition to main content after successful authentication
    */
@@ -616,7 +718,9 @@ class WalletAuthController {
         walletType: wallet.type,
         timestamp: Date.now(),
         publicKey: wallet.publicKey,
-        address: wallet.address
+        address: wallet.address,
+        token: this.session.token,
+        expiresAt: this.session.expires_at
       };
       
       localStorage.setItem('micro_wallet_connection', JSON.stringify(connectionData));
@@ -642,8 +746,15 @@ class WalletAuthController {
    * Force re-authentication (public API)
    */
   forceReauth() {
+    // Revoke the session on the proxy too, so the token is useless even if it leaked
+    if (this.session) {
+      fetch(`${this.options.authUrl}/logout`, { method: 'POST', headers: this.getAuthHeaders() })
+        .catch(error => this.log('Sign-out request failed:', error));
+    }
+    
     this.isAuthenticated = false;
     this.connectedWallet = null;
+    this.session = null;
     
     // Clear stored connection
     this.clearStoredConnection();